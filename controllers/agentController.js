@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Agent = require('../models/Agent');
 const bolnaService = require('../services/bolnaService');
 
@@ -198,3 +199,73 @@ exports.updateBolnaPrompt = async (req, res) => {
         res.status(500).json({ error: 'Failed to update prompt on AItelz' });
     }
 };
+
+// Set where this agent's extracted data is written (null values fall back to the client's sheet)
+exports.updateExtractionDestination = async (req, res) => {
+    try {
+        const { agentId } = req.params;
+        const { sheet_id, tab } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(agentId)) {
+            return res.status(400).json({ error: 'Invalid agent ID' });
+        }
+
+        if (sheet_id !== undefined && sheet_id !== null
+            && (typeof sheet_id !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(sheet_id))) {
+            return res.status(400).json({ error: 'Invalid Sheet ID format' });
+        }
+
+        // Google Sheets tab titles can't contain these characters
+        if (tab !== undefined && tab !== null
+            && (typeof tab !== 'string' || !tab.trim() || tab.length > 100 || /[[\]*?/\\:]/.test(tab))) {
+            return res.status(400).json({ error: 'Tab name must be 1-100 characters without [ ] * ? / \\ :' });
+        }
+
+        const agent = await Agent.findOne({ _id: agentId, client_id: req.clientId });
+
+        if (!agent) {
+            return res.status(404).json({ error: 'Agent not found' });
+        }
+
+        if (sheet_id !== undefined) agent.extraction_sheet_id = sheet_id || null;
+        if (tab !== undefined) agent.extraction_sheet_tab = tab ? tab.trim() : null;
+
+        const extractionDestinationService = require('../services/extractionDestinationService');
+        const client = req.client;
+        let headersSynced = false;
+
+        if (client.google_authorized && (agent.extraction_sheet_id || agent.extraction_sheet_tab)) {
+            const googleSheetsService = require('../services/googleSheetsService');
+
+            try {
+                if (agent.extraction_sheet_id) {
+                    await googleSheetsService.validateSheetAccess(client, agent.extraction_sheet_id);
+                }
+            } catch (error) {
+                return res.status(400).json({ error: `Cannot access Sheet: ${error.message}` });
+            }
+
+            await agent.save();
+
+            // Creates the tab if needed and writes this destination's headers
+            const results = await extractionDestinationService.syncHeaders(client);
+            const target = extractionDestinationService.getTarget(client, agent);
+            headersSynced = results.some(result =>
+                !result.error && extractionDestinationService.isSameTarget(result, target)
+            );
+        } else {
+            await agent.save();
+        }
+
+        res.json({
+            success: true,
+            message: 'Extraction destination updated',
+            destination: extractionDestinationService.getTarget(client, agent),
+            headers_synced: headersSynced,
+            agent,
+        });
+    } catch (error) {
+        console.error('Update extraction destination error:', error);
+        res.status(500).json({ error: 'Failed to update extraction destination' });
+    }
+};
@@ -4,6 +4,9 @@ const crypto = require('crypto');
 const Client = require('../models/Client');
 const { sendPasswordResetEmail } = require('../services/emailService');
 const encryptionService = require('../services/encryptionService');
+const llmProviderService = require('../services/llmProviderService');
+const campaignService = require('../services/campaignService');
+const callAnalysisService = require('../services/callAnalysisService');
 
 // Register new client
 exports.register = async (req, res) => {
@@ -102,7 +105,7 @@ exports.login = async (req, res) => {
 // Get current client profile
 exports.getProfile = async (req, res) => {
     try {
-        const client = await Client.findById(req.clientId).select('-password_hash -openai_api_key');
+        const client = await Client.findById(req.clientId).select('-password_hash -openai_api_key -llm_provider.api_key');
         res.json({ client });
     } catch (error) {
         console.error('Get profile error:', error);
@@ -261,3 +264,226 @@ exports.deleteApiKey = async (req, res) => {
         res.status(500).json({ error: 'Failed to remove API key' });
     }
 };
+
+// Get LLM provider settings used for extraction (never returns the key)
+exports.getLlmProvider = async (req, res) => {
+    try {
+        const client = await Client.findById(req.clientId);
+        res.json({ provider: llmProviderService.describe(client) });
+    } catch (error) {
+        console.error('Get LLM provider error:', error);
+        res.status(500).json({ error: 'Failed to get LLM provider settings' });
+    }
+};
+
+// Save LLM provider settings (OpenAI, Azure OpenAI or an OpenAI-compatible endpoint)
+exports.saveLlmProvider = async (req, res) => {
+    try {
+        const { type, base_url, model, api_version, api_key } = req.body;
+        const client = await Client.findById(req.clientId);
+        const current = client.llm_provider || {};
+        const switchingType = (current.type || 'openai') !== (type || 'openai');
+
+        const settings = {
+            type: type || 'openai',
+            base_url: base_url ? base_url.trim() : null,
+            model: model ? model.trim() : null,
+            api_version: api_version ? api_version.trim() : null,
+        };
+
+        const validationError = llmProviderService.validateSettings(settings);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        // Keep the stored key unless a new one is sent (or the provider type changes)
+        let encryptedKey = switchingType ? null : current.api_key;
+        if (api_key && api_key.trim()) {
+            encryptedKey = encryptionService.encrypt(api_key.trim());
+        }
+
+        client.llm_provider = { ...settings, api_key: encryptedKey };
+        await client.save();
+
+        res.json({
+            message: 'LLM provider saved successfully',
+            provider: llmProviderService.describe(client),
+        });
+    } catch (error) {
+        console.error('Save LLM provider error:', error);
+        res.status(500).json({ error: 'Failed to save LLM provider settings' });
+    }
+};
+
+// Reset LLM provider to the default OpenAI configuration
+exports.deleteLlmProvider = async (req, res) => {
+    try {
+        const client = await Client.findById(req.clientId);
+        client.llm_provider = { type: 'openai', base_url: null, model: null, api_version: null, api_key: null };
+        await client.save();
+
+        res.json({
+            message: 'LLM provider reset to OpenAI',
+            provider: llmProviderService.describe(client),
+        });
+    } catch (error) {
+        console.error('Delete LLM provider error:', error);
+        res.status(500).json({ error: 'Failed to reset LLM provider settings' });
+    }
+};
+
+// Send a minimal request to the configured provider to check connectivity
+exports.testLlmProvider = async (req, res) => {
+    try {
+        const client = await Client.findById(req.clientId);
+        const provider = llmProviderService.resolveForClient(client);
+
+        if (!provider) {
+            return res.status(400).json({ error: 'LLM provider is not fully configured' });
+        }
+
+        const response = await provider.createChatCompletion({
+            messages: [{ role: 'user', content: 'Reply with the word OK.' }],
+            max_tokens: 5,
+            temperature: 0,
+        });
+
+        res.json({
+            success: true,
+            model: response.model || provider.model,
+            reply: response.choices?.[0]?.message?.content || '',
+        });
+    } catch (error) {
+        console.error('Test LLM provider error:', error.response?.data || error.message);
+        res.status(400).json({
+            success: false,
+            error: 'Provider request failed',
+            details: llmProviderService.describeError(error),
+        });
+    }
+};
+
+// Get call analysis settings (summary, sentiment and disposition labels)
+exports.getAnalysisSettings = async (req, res) => {
+    try {
+        const client = await Client.findById(req.clientId).select('analysis_settings');
+        res.json({ analysis_settings: client.analysis_settings });
+    } catch (error) {
+        console.error('Get analysis settings error:', error);
+        res.status(500).json({ error: 'Failed to get analysis settings' });
+    }
+};
+
+// Update call analysis settings
+exports.saveAnalysisSettings = async (req, res) => {
+    try {
+        const { enabled, disposition_labels, dnc_disposition } = req.body;
+        const client = await Client.findById(req.clientId);
+
+        if (enabled !== undefined) {
+            client.analysis_settings.enabled = !!enabled;
+        }
+
+        if (disposition_labels !== undefined) {
+            if (!Array.isArray(disposition_labels)) {
+                return res.status(400).json({ error: 'Disposition labels must be an array' });
+            }
+
+            // Trim and drop duplicates (case-insensitive), keeping the first spelling
+            const labels = [];
+            disposition_labels.map(label => String(label).trim()).filter(Boolean).forEach(label => {
+                if (!labels.some(existing => existing.toLowerCase() === label.toLowerCase())) {
+                    labels.push(label);
+                }
+            });
+
+            if (labels.length === 0 || labels.length > 30) {
+                return res.status(400).json({ error: 'Provide between 1 and 30 disposition labels' });
+            }
+            if (labels.some(label => label.length > 50)) {
+                return res.status(400).json({ error: 'Disposition labels must be at most 50 characters' });
+            }
+
+            client.analysis_settings.disposition_labels = labels;
+        }
+
+        if (dnc_disposition !== undefined) {
+            if (dnc_disposition !== null && (typeof dnc_disposition !== 'string' || !dnc_disposition.trim() || dnc_disposition.length > 50)) {
+                return res.status(400).json({ error: 'Do-Not-Call disposition must be a label of at most 50 characters, or null' });
+            }
+            client.analysis_settings.dnc_disposition = dnc_disposition ? dnc_disposition.trim() : null;
+        }
+
+        // The analysis only returns listed labels, so an unlisted one would never add a number
+        const dncLabel = client.analysis_settings.dnc_disposition;
+        const labels = callAnalysisService.getDispositionLabels(client);
+        if (dncLabel && !labels.some(label => label.toLowerCase() === dncLabel.toLowerCase())) {
+            return res.status(400).json({
+                error: dnc_disposition !== undefined
+                    ? `Do-Not-Call disposition "${dncLabel}" must be one of the disposition labels`
+                    : `Disposition labels must keep the Do-Not-Call disposition "${dncLabel}" (or change it in the same request)`,
+            });
+        }
+
+        await client.save();
+
+        res.json({
+            message: 'Analysis settings saved successfully',
+            analysis_settings: client.analysis_settings,
+        });
+    } catch (error) {
+        console.error('Save analysis settings error:', error);
+        res.status(500).json({ error: 'Failed to save analysis settings' });
+    }
+};
+
+// Get campaign limits that apply across all of the client's campaigns
+exports.getCampaignSettings = async (req, res) => {
+    try {
+        const client = await Client.findById(req.clientId).select('campaign_settings');
+
+        res.json({
+            campaign_settings: client.campaign_settings,
+            default_max_concurrent_calls: campaignService.clientMaxConcurrentCalls,
+        });
+    } catch (error) {
+        console.error('Get campaign settings error:', error);
+        res.status(500).json({ error: 'Failed to get campaign settings' });
+    }
+};
+
+// Update campaign limits that apply across all of the client's campaigns
+exports.saveCampaignSettings = async (req, res) => {
+    try {
+        const { max_concurrent_calls, duplicate_cooldown_hours } = req.body;
+        const client = await Client.findById(req.clientId);
+
+        if (max_concurrent_calls !== undefined) {
+            // null restores the server default
+            if (max_concurrent_calls !== null
+                && (!Number.isInteger(max_concurrent_calls) || max_concurrent_calls < 1 || max_concurrent_calls > 1000)) {
+                return res.status(400).json({ error: 'max_concurrent_calls must be a whole number between 1 and 1000, or null' });
+            }
+            client.campaign_settings.max_concurrent_calls = max_concurrent_calls;
+        }
+
+        if (duplicate_cooldown_hours !== undefined) {
+            // null turns the cross-campaign cooldown off
+            if (duplicate_cooldown_hours !== null
+                && (!Number.isInteger(duplicate_cooldown_hours) || duplicate_cooldown_hours < 1 || duplicate_cooldown_hours > 720)) {
+                return res.status(400).json({ error: 'duplicate_cooldown_hours must be a whole number between 1 and 720, or null' });
+            }
+            client.campaign_settings.duplicate_cooldown_hours = duplicate_cooldown_hours;
+        }
+
+        await client.save();
+
+        res.json({
+            message: 'Campaign settings saved successfully',
+            campaign_settings: client.campaign_settings,
+        });
+    } catch (error) {
+        console.error('Save campaign settings error:', error);
+        res.status(500).json({ error: 'Failed to save campaign settings' });
+    }
+};
@@ -1,8 +1,317 @@
 const Campaign = require('../models/Campaign');
+const CampaignContact = require('../models/CampaignContact');
+const Execution = require('../models/Execution');
+const campaignService = require('../services/campaignService');
+const contactFileService = require('../services/contactFileService');
+const sheetService = require('../services/sheetService');
 const googleSheetsService = require('../services/googleSheetsService');
+const timezoneService = require('../services/timezoneService');
 const Client = require('../models/Client');
 const Agent = require('../models/Agent'); // Added to ensure model is loaded
 
+// Call variables must be usable as prompt placeholders, e.g. {appointment_date}
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+// Name column and variable mapping of a campaign. The mapping is [{ column, variable }] or
+// { column: variable }; multipart forms send it as JSON text.
+const parseContactColumns = (body) => {
+    let mapping = body.variable_mapping ?? [];
+
+    if (typeof mapping === 'string') {
+        try {
+            mapping = JSON.parse(mapping);
+        } catch (e) {
+            return { error: 'variable_mapping must be JSON' };
+        }
+    }
+
+    if (mapping && typeof mapping === 'object' && !Array.isArray(mapping)) {
+        mapping = Object.entries(mapping).map(([column, variable]) => ({ column, variable }));
+    }
+
+    if (!Array.isArray(mapping) || mapping.some(entry => !entry || typeof entry.column !== 'string' || typeof entry.variable !== 'string')) {
+        return { error: 'variable_mapping must map column names to variable names' };
+    }
+
+    if (mapping.length > 50) {
+        return { error: 'At most 50 call variables are allowed' };
+    }
+
+    const variableMapping = [];
+    for (const entry of mapping) {
+        const column = entry.column.trim();
+        const variable = entry.variable.trim();
+
+        if (!column) {
+            return { error: 'variable_mapping has an empty column name' };
+        }
+        if (!VARIABLE_NAME_PATTERN.test(variable)) {
+            return { error: `Invalid variable name "${variable}". Use letters, numbers and underscores, starting with a letter` };
+        }
+        if (variableMapping.some(existing => existing.variable === variable)) {
+            return { error: `Variable "${variable}" is mapped more than once` };
+        }
+
+        variableMapping.push({ column, variable });
+    }
+
+    const nameColumn = typeof body.name_column_name === 'string' ? body.name_column_name.trim() : '';
+
+    return {
+        name_column_name: nameColumn || null,
+        variable_mapping: variableMapping,
+    };
+};
+
+// Pacing limits of a campaign; only the ones present in the body are returned.
+// null (or an empty form field) removes a limit.
+const parsePacing = (body) => {
+    const pacing = {};
+
+    for (const key of ['max_concurrent_calls', 'calls_per_minute']) {
+        if (body[key] === undefined) continue;
+
+        if (body[key] === null || body[key] === '') {
+            pacing[key] = null;
+            continue;
+        }
+
+        const value = Number(body[key]);
+        if (!Number.isInteger(value) || value < 1 || value > 1000) {
+            return { error: `${key} must be a whole number between 1 and 1000, or null for no limit` };
+        }
+        pacing[key] = value;
+    }
+
+    return { pacing };
+};
+
+// Parse a JSON object sent as a multipart form field
+const parseFormObject = (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return undefined;
+    }
+};
+
+const CONTACT_TIMEZONE_MODES = ['campaign', 'column', 'phone_prefix'];
+
+// Time zone, calling windows, blackout dates and start time of a campaign; only the ones
+// present in the body are returned. Values may be JSON strings (multipart forms).
+// scheduled_at without an offset is read as wall time in the campaign's zone.
+const parseSchedule = (body, currentTimezone = 'Asia/Kolkata') => {
+    const schedule = {};
+
+    if (body.timezone !== undefined) {
+        if (!timezoneService.isValidTimezone(body.timezone)) {
+            return { error: 'timezone must be an IANA time zone, e.g. Asia/Kolkata or America/New_York' };
+        }
+        schedule.timezone = body.timezone;
+    }
+
+    if (body.scheduled_at !== undefined && body.scheduled_at !== null && body.scheduled_at !== '') {
+        const scheduledAt = timezoneService.parseLocalDateTime(body.scheduled_at, schedule.timezone || currentTimezone);
+        if (!scheduledAt) {
+            return { error: 'scheduled_at must be a date, e.g. 2026-01-15T09:30' };
+        }
+        schedule.scheduled_at = scheduledAt;
+    }
+
+    if (body.active_hours !== undefined) {
+        const hours = parseFormObject(body.active_hours);
+        if (!hours || timezoneService.parseTime(hours.start) === null || timezoneService.parseTime(hours.end) === null) {
+            return { error: 'active_hours must be an object like {"start":"09:00","end":"18:00"}' };
+        }
+        schedule.active_hours = { start: hours.start, end: hours.end };
+    }
+
+    if (body.calling_windows !== undefined) {
+        const windows = parseFormObject(body.calling_windows);
+        if (!Array.isArray(windows) || windows.length > 28) {
+            return { error: 'calling_windows must be a list of up to 28 windows like {"days":["mon","fri"],"start":"09:00","end":"18:00"}' };
+        }
+
+        schedule.calling_windows = [];
+        for (const window of windows) {
+            const days = Array.isArray(window?.days) ? window.days.map(day => timezoneService.parseWeekday(day)) : [];
+            if (days.length === 0 || days.includes(null)) {
+                return { error: 'Each calling window needs days, as 0-6 (0 = Sunday) or names like "mon"' };
+            }
+
+            const start = timezoneService.parseTime(window.start);
+            const end = timezoneService.parseTime(window.end);
+            if (start === null || end === null || start === end) {
+                return { error: 'Each calling window needs a different start and end time as HH:MM' };
+            }
+
+            schedule.calling_windows.push({
+                days: [...new Set(days)].sort((a, b) => a - b),
+                start: window.start,
+                end: window.end,
+            });
+        }
+    }
+
+    if (body.blackout_dates !== undefined) {
+        const dates = parseFormObject(body.blackout_dates);
+        const isDate = (value) => typeof value === 'string'
+            && /^\d{4}-\d{2}-\d{2}$/.test(value)
+            && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+        if (!Array.isArray(dates) || dates.length > 366 || !dates.every(isDate)) {
+            return { error: 'blackout_dates must be a list of up to 366 dates as YYYY-MM-DD' };
+        }
+        schedule.blackout_dates = [...new Set(dates)].sort();
+    }
+
+    if (body.contact_timezone !== undefined) {
+        const contactTimezone = parseFormObject(body.contact_timezone);
+        const mode = contactTimezone?.mode;
+        if (!CONTACT_TIMEZONE_MODES.includes(mode)) {
+            return { error: `contact_timezone.mode must be one of: ${CONTACT_TIMEZONE_MODES.join(', ')}` };
+        }
+
+        const column = typeof contactTimezone.column === 'string' ? contactTimezone.column.trim() : '';
+        if (mode === 'column' && !column) {
+            return { error: 'contact_timezone.column is required when mode is "column"' };
+        }
+        schedule.contact_timezone = { mode, column: mode === 'column' ? column : null };
+    }
+
+    return { schedule };
+};
+
+// End conditions of a campaign (body.end_conditions, or a JSON string of it); only the ones
+// present are returned. null removes a condition. end_at without an offset is read in the
+// campaign's zone.
+const parseEndConditions = (body, timezone = 'Asia/Kolkata') => {
+    if (body.end_conditions === undefined) return { endConditions: {} };
+
+    const input = parseFormObject(body.end_conditions);
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'end_conditions must be an object like {"all_contacts_done":true,"max_calls":500}' };
+    }
+
+    const endConditions = {};
+
+    if (input.all_contacts_done !== undefined) {
+        if (![true, false, 'true', 'false'].includes(input.all_contacts_done)) {
+            return { error: 'end_conditions.all_contacts_done must be true or false' };
+        }
+        endConditions.all_contacts_done = input.all_contacts_done === true || input.all_contacts_done === 'true';
+    }
+
+    if (input.end_at !== undefined) {
+        endConditions.end_at = null;
+        if (input.end_at !== null && input.end_at !== '') {
+            endConditions.end_at = timezoneService.parseLocalDateTime(input.end_at, timezone);
+            if (!endConditions.end_at) {
+                return { error: 'end_conditions.end_at must be a date, e.g. 2026-01-31T18:00' };
+            }
+        }
+    }
+
+    if (input.max_calls !== undefined) {
+        const value = input.max_calls === null || input.max_calls === '' ? null : Number(input.max_calls);
+        if (value !== null && (!Number.isInteger(value) || value < 1)) {
+            return { error: 'end_conditions.max_calls must be a whole number of at least 1, or null' };
+        }
+        endConditions.max_calls = value;
+    }
+
+    if (input.max_cost !== undefined) {
+        const value = input.max_cost === null || input.max_cost === '' ? null : Number(input.max_cost);
+        if (value !== null && !(value > 0)) {
+            return { error: 'end_conditions.max_cost must be a positive number, or null' };
+        }
+        endConditions.max_cost = value;
+    }
+
+    return { endConditions };
+};
+
+// Why a campaign can't be activated, by checkEndConditions reason
+const REOPEN_BLOCKED_REASONS = {
+    end_date: 'its end_at has passed',
+    max_calls: 'it has already started max_calls calls',
+    budget: 'it has already used its max_cost',
+    all_contacts_done: 'every contact has been called (upload more contacts first)',
+};
+
+const RETRY_OUTCOMES = ['no_answer', 'busy', 'failed', 'voicemail'];
+const MAX_RETRIES = 20;
+const MAX_RETRY_DELAY_MINUTES = 7 * 24 * 60;
+
+// Retry policy of a campaign (body.retry_policy, or a JSON string of it), as paths under
+// retry_policy so a partial policy only changes what it names
+const parseRetryPolicy = (body) => {
+    if (body.retry_policy === undefined) return { retryPolicy: {} };
+
+    const input = parseFormObject(body.retry_policy);
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'retry_policy must be an object like {"backoff":"exponential","outcomes":{"busy":{"max_retries":5}}}' };
+    }
+
+    const retryPolicy = {};
+    const isMinutes = (value) => typeof value === 'number' && value >= 1 && value <= MAX_RETRY_DELAY_MINUTES;
+
+    if (input.backoff !== undefined) {
+        if (!['fixed', 'exponential'].includes(input.backoff)) {
+            return { error: 'retry_policy.backoff must be "fixed" or "exponential"' };
+        }
+        retryPolicy['retry_policy.backoff'] = input.backoff;
+    }
+
+    if (input.max_delay_minutes !== undefined) {
+        if (!isMinutes(input.max_delay_minutes)) {
+            return { error: `retry_policy.max_delay_minutes must be between 1 and ${MAX_RETRY_DELAY_MINUTES}` };
+        }
+        retryPolicy['retry_policy.max_delay_minutes'] = input.max_delay_minutes;
+    }
+
+    const outcomes = input.outcomes || {};
+    if (typeof outcomes !== 'object' || Array.isArray(outcomes)) {
+        return { error: `retry_policy.outcomes must be an object keyed by outcome (${RETRY_OUTCOMES.join(', ')})` };
+    }
+
+    for (const [outcome, rule] of Object.entries(outcomes)) {
+        if (!RETRY_OUTCOMES.includes(outcome)) {
+            return { error: `Unknown retry outcome "${outcome}". Use: ${RETRY_OUTCOMES.join(', ')}` };
+        }
+        if (!rule || typeof rule !== 'object') {
+            return { error: `retry_policy.outcomes.${outcome} must be an object` };
+        }
+
+        const path = `retry_policy.outcomes.${outcome}`;
+
+        if (rule.enabled !== undefined) {
+            if (typeof rule.enabled !== 'boolean') {
+                return { error: `${path}.enabled must be true or false` };
+            }
+            retryPolicy[`${path}.enabled`] = rule.enabled;
+        }
+
+        // null falls back to the campaign's max_retries / retry_interval_minutes
+        if (rule.max_retries !== undefined) {
+            if (rule.max_retries !== null && !(Number.isInteger(rule.max_retries) && rule.max_retries >= 0 && rule.max_retries <= MAX_RETRIES)) {
+                return { error: `${path}.max_retries must be a whole number between 0 and ${MAX_RETRIES}, or null` };
+            }
+            retryPolicy[`${path}.max_retries`] = rule.max_retries;
+        }
+
+        if (rule.delay_minutes !== undefined) {
+            if (rule.delay_minutes !== null && !isMinutes(rule.delay_minutes)) {
+                return { error: `${path}.delay_minutes must be between 1 and ${MAX_RETRY_DELAY_MINUTES}, or null` };
+            }
+            retryPolicy[`${path}.delay_minutes`] = rule.delay_minutes;
+        }
+    }
+
+    return { retryPolicy };
+};
+
 // Get all campaigns for the authenticated client
 exports.getMyCampaigns = async (req, res) => {
     try {
@@ -46,8 +355,6 @@ exports.createCampaign = async (req, res) => {
             execution_column_name,
             retry_interval_minutes,
             max_retries,
-            scheduled_at,
-            active_hours,
             dial_delay
         } = req.body;
 
@@ -55,6 +362,31 @@ exports.createCampaign = async (req, res) => {
             return res.status(400).json({ error: 'agent_id, name, google_sheet_url, and phone_column_name are required' });
         }
 
+        const columns = parseContactColumns(req.body);
+        if (columns.error) {
+            return res.status(400).json({ error: columns.error });
+        }
+
+        const { pacing, error: pacingError } = parsePacing(req.body);
+        if (pacingError) {
+            return res.status(400).json({ error: pacingError });
+        }
+
+        const { schedule, error: scheduleError } = parseSchedule(req.body);
+        if (scheduleError) {
+            return res.status(400).json({ error: scheduleError });
+        }
+
+        const { endConditions, error: endError } = parseEndConditions(req.body, schedule.timezone);
+        if (endError) {
+            return res.status(400).json({ error: endError });
+        }
+
+        const { retryPolicy, error: retryError } = parseRetryPolicy(req.body);
+        if (retryError) {
+            return res.status(400).json({ error: retryError });
+        }
+
         const match = google_sheet_url.match(new RegExp('/d/([a-zA-Z0-9-_]+)'));
         const sheetId = match ? match[1] : google_sheet_url;
 
@@ -78,13 +410,18 @@ exports.createCampaign = async (req, res) => {
             google_sheet_id: sheetId,
             google_sheet_url,
             phone_column_name,
+            name_column_name: columns.name_column_name,
+            variable_mapping: columns.variable_mapping,
             execution_column_name: execution_column_name || 'executions',
             retry_interval_minutes: retry_interval_minutes || 30,
             max_retries: max_retries !== undefined ? max_retries : 3,
             status: 'active',
-            scheduled_at: scheduled_at || new Date(),
-            active_hours: active_hours || { start: '00:00', end: '23:59' },
-            dial_delay: dial_delay || 0
+            dial_delay: dial_delay || 0,
+            ...pacing,
+            ...schedule,
+            scheduled_at_migrated: true,
+            ...retryPolicy,
+            end_conditions: endConditions
         });
 
         await campaign.save();
@@ -110,16 +447,42 @@ exports.updateCampaignStatus = async (req, res) => {
             return res.status(400).json({ error: 'Invalid status' });
         }
 
-        const campaign = await Campaign.findOneAndUpdate(
-            { _id: id, client_id: req.clientId },
-            { status, updated_at: new Date() },
-            { new: true }
-        );
+        const campaign = await Campaign.findOne({ _id: id, client_id: req.clientId });
 
         if (!campaign) {
             return res.status(404).json({ error: 'Campaign not found' });
         }
 
+        // Reopening or resuming may change end conditions in the same request, and is refused while
+        // one still holds (the runner would complete the campaign again right away)
+        if (status === 'active' && campaign.status !== 'active') {
+            const { endConditions, error } = parseEndConditions(req.body, campaign.timezone);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            Object.entries(endConditions).forEach(([key, value]) => {
+                campaign.set(`end_conditions.${key}`, value);
+            });
+
+            // A sheet campaign may have new rows, which the runner imports before checking
+            const endReason = await campaignService.checkEndConditions(campaign);
+            if (endReason && !(endReason === 'all_contacts_done' && campaign.source !== 'upload')) {
+                return res.status(400).json({
+                    error: `Campaign can't be activated: ${REOPEN_BLOCKED_REASONS[endReason]}. Raise or clear that end condition (end_conditions) first.`,
+                    end_reason: endReason,
+                });
+            }
+        }
+
+        // Reopening a campaign clears why it completed
+        if (campaign.status !== status) {
+            campaign.status = status;
+            campaign.completed_at = status === 'completed' ? new Date() : null;
+            campaign.completed_reason = status === 'completed' ? 'manual' : null;
+            await campaign.save();
+        }
+
         res.json({
             success: true,
             message: `Campaign status updated to ${status}`,
@@ -145,6 +508,8 @@ exports.deleteCampaign = async (req, res) => {
             return res.status(404).json({ error: 'Campaign not found' });
         }
 
+        await CampaignContact.deleteMany({ campaign_id: campaign._id });
+
         res.json({
             success: true,
             message: 'Campaign deleted successfully',
@@ -154,3 +519,638 @@ exports.deleteCampaign = async (req, res) => {
         res.status(500).json({ error: 'Failed to delete campaign' });
     }
 };
+
+// Get the contacts of a campaign with their dial state
+exports.getCampaignContacts = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const campaign = await Campaign.findOne({ _id: id, client_id: req.clientId }).select('_id');
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        const query = { campaign_id: campaign._id };
+        if (status) {
+            query.status = status;
+        }
+
+        const [total, contacts, counts] = await Promise.all([
+            CampaignContact.countDocuments(query),
+            CampaignContact.find(query)
+                .sort({ row_number: 1, created_at: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-fingerprint -sheet_dirty'),
+            campaignService.getContactCounts(campaign._id),
+        ]);
+
+        res.json({
+            success: true,
+            total,
+            count: contacts.length,
+            page,
+            counts,
+            contacts,
+        });
+    } catch (error) {
+        console.error('Get campaign contacts error:', error);
+        res.status(500).json({ error: 'Failed to fetch campaign contacts' });
+    }
+};
+
+// Import new rows from the campaign sheet now instead of waiting for the runner
+exports.importCampaignContacts = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const campaign = await Campaign.findOne({ _id: id, client_id: req.clientId });
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        if (campaign.source === 'upload') {
+            return res.status(400).json({ error: 'This campaign has no Google Sheet; upload a file instead' });
+        }
+
+        const client = await Client.findById(req.clientId);
+        if (!client.google_authorized) {
+            return res.status(403).json({ error: 'You need to connect your Google Account first' });
+        }
+
+        let result;
+        try {
+            result = await campaignService.importContacts(campaign, client);
+        } catch (error) {
+            await campaign.save();
+            return res.status(400).json({ error: `Failed to import sheet: ${error.message}` });
+        }
+
+        await campaign.save();
+        await campaignService.updateStats(campaign);
+
+        res.json({
+            success: true,
+            message: `Imported ${result.added} new contact(s)`,
+            ...result,
+        });
+    } catch (error) {
+        console.error('Import campaign contacts error:', error);
+        res.status(500).json({ error: 'Failed to import campaign contacts' });
+    }
+};
+
+// Check that a file has the campaign's phone, name, variable and time zone columns
+const findMissingColumns = (headers, campaign) => {
+    const required = [
+        campaign.phone_column_name,
+        campaign.name_column_name,
+        ...(campaign.variable_mapping || []).map(entry => entry.column),
+        campaign.contact_timezone?.mode === 'column' ? campaign.contact_timezone.column : null,
+    ].filter(Boolean);
+    return required.filter(name => campaignService.findColumn(headers, name) === -1);
+};
+
+// Create a campaign from an uploaded CSV/Excel contact file (no Google account needed)
+exports.createUploadCampaign = async (req, res) => {
+    try {
+        const {
+            agent_id,
+            name,
+            phone_column_name,
+            retry_interval_minutes,
+            max_retries,
+            dial_delay
+        } = req.body;
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'A CSV or Excel file is required (form field "file")' });
+        }
+
+        if (!agent_id || !name || !phone_column_name) {
+            return res.status(400).json({ error: 'agent_id, name, and phone_column_name are required' });
+        }
+
+        if (!contactFileService.isSupported(req.file.originalname)) {
+            return res.status(400).json({ error: 'Only .csv and .xlsx files are supported' });
+        }
+
+        const agent = await Agent.findOne({ _id: agent_id, client_id: req.clientId }).select('_id');
+        if (!agent) {
+            return res.status(404).json({ error: 'Agent not found' });
+        }
+
+        const columns = parseContactColumns(req.body);
+        if (columns.error) {
+            return res.status(400).json({ error: columns.error });
+        }
+
+        const numbers = { retry_interval_minutes, max_retries, dial_delay };
+        const invalidNumber = Object.keys(numbers).find(key =>
+            numbers[key] !== undefined && numbers[key] !== '' && !(Number(numbers[key]) >= 0)
+        );
+        if (invalidNumber) {
+            return res.status(400).json({ error: `${invalidNumber} must be a non-negative number` });
+        }
+
+        const { pacing, error: pacingError } = parsePacing(req.body);
+        if (pacingError) {
+            return res.status(400).json({ error: pacingError });
+        }
+
+        const { schedule, error: scheduleError } = parseSchedule(req.body);
+        if (scheduleError) {
+            return res.status(400).json({ error: scheduleError });
+        }
+
+        const { endConditions, error: endError } = parseEndConditions(req.body, schedule.timezone);
+        if (endError) {
+            return res.status(400).json({ error: endError });
+        }
+
+        const { retryPolicy, error: retryError } = parseRetryPolicy(req.body);
+        if (retryError) {
+            return res.status(400).json({ error: retryError });
+        }
+
+        let file;
+        try {
+            file = await contactFileService.parse(req.file.buffer, req.file.originalname);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const campaign = new Campaign({
+            client_id: req.clientId,
+            agent_id: agent._id,
+            name,
+            source: 'upload',
+            phone_column_name: phone_column_name.trim(),
+            name_column_name: columns.name_column_name,
+            variable_mapping: columns.variable_mapping,
+            retry_interval_minutes: Number(retry_interval_minutes) || 30,
+            max_retries: max_retries !== undefined && max_retries !== '' ? Number(max_retries) : 3,
+            status: 'active',
+            dial_delay: Number(dial_delay) || 0,
+            ...pacing,
+            ...schedule,
+            scheduled_at_migrated: true,
+            ...retryPolicy,
+            end_conditions: endConditions
+        });
+
+        const missing = findMissingColumns(file.headers, campaign);
+        if (missing.length > 0) {
+            return res.status(400).json({
+                error: `Column(s) not found in file: ${missing.join(', ')}`,
+                headers: file.headers,
+            });
+        }
+
+        // Import before saving, so the runner never sees an active campaign with a partial (or failed) import
+        const result = await campaignService.importUploadedContacts(campaign, file.headers, file.rows);
+        campaign.uploads.push({
+            file_name: req.file.originalname,
+            headers: file.headers,
+            row_count: file.rows.length,
+            added: result.added,
+        });
+
+        try {
+            await campaign.save();
+        } catch (error) {
+            await CampaignContact.deleteMany({ campaign_id: campaign._id });
+            throw error;
+        }
+        await campaignService.updateStats(campaign);
+
+        res.status(201).json({
+            success: true,
+            message: `Campaign created with ${result.added} contact(s)`,
+            import: result,
+            campaign: await Campaign.findById(campaign._id),
+        });
+    } catch (error) {
+        console.error('Create upload campaign error:', error);
+        res.status(500).json({ error: 'Failed to create campaign' });
+    }
+};
+
+// Add contacts from another CSV/Excel file to an upload campaign
+exports.uploadCampaignContacts = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const campaign = await Campaign.findOne({ _id: id, client_id: req.clientId });
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        if (campaign.source !== 'upload') {
+            return res.status(400).json({ error: 'This campaign reads its contacts from a Google Sheet' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'A CSV or Excel file is required (form field "file")' });
+        }
+
+        if (!contactFileService.isSupported(req.file.originalname)) {
+            return res.status(400).json({ error: 'Only .csv and .xlsx files are supported' });
+        }
+
+        let file;
+        try {
+            file = await contactFileService.parse(req.file.buffer, req.file.originalname);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const missing = findMissingColumns(file.headers, campaign);
+        if (missing.length > 0) {
+            return res.status(400).json({
+                error: `Column(s) not found in file: ${missing.join(', ')}`,
+                headers: file.headers,
+            });
+        }
+
+        const result = await campaignService.importUploadedContacts(campaign, file.headers, file.rows);
+
+        // $push rather than save(): concurrent uploads each add their own record
+        await Campaign.updateOne({ _id: campaign._id }, {
+            $push: {
+                uploads: {
+                    file_name: req.file.originalname,
+                    headers: file.headers,
+                    row_count: file.rows.length,
+                    added: result.added,
+                    uploaded_at: new Date(),
+                },
+            },
+        });
+        await campaignService.updateStats(campaign);
+
+        res.json({
+            success: true,
+            message: `Added ${result.added} contact(s)`,
+            ...result,
+        });
+    } catch (error) {
+        console.error('Upload campaign contacts error:', error);
+        res.status(500).json({ error: 'Failed to upload contacts' });
+    }
+};
+
+// Download every contact of a campaign with its call results as CSV
+exports.downloadCampaignResults = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const campaign = await Campaign.findOne({ _id: id, client_id: req.clientId });
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        const contacts = await CampaignContact.find({ campaign_id: campaign._id, status: { $ne: 'removed' } })
+            .sort({ row_number: 1, created_at: 1 });
+
+        // Call analysis of each contact's latest execution
+        const latestIds = contacts.map(contact => contact.execution_ids[contact.execution_ids.length - 1]).filter(Boolean);
+        const executions = await Execution.find({ bolna_execution_id: { $in: latestIds } })
+            .select('bolna_execution_id analysis');
+        const analysisById = new Map(executions.map(execution => [execution.bolna_execution_id, execution.analysis]));
+
+        // The contact's own columns, in file/sheet order
+        const dataHeaders = [];
+        campaign.uploads.forEach(upload => upload.headers.forEach(header => {
+            if (header && !dataHeaders.includes(header)) dataHeaders.push(header);
+        }));
+        contacts.forEach(contact => Object.keys(contact.row_data || {}).forEach(header => {
+            if (!dataHeaders.includes(header)) dataHeaders.push(header);
+        }));
+
+        const resultHeaders = ['Dial Status', 'Call Outcome', 'Attempts', 'Retries', 'Last Attempt', 'Next Attempt', 'Execution IDs', 'Disposition', 'Sentiment', 'Summary', 'Error'];
+        const headers = [...dataHeaders, ...resultHeaders.filter(header => !dataHeaders.includes(header))];
+
+        const rows = contacts.map(contact => {
+            const analysis = analysisById.get(contact.execution_ids[contact.execution_ids.length - 1]) || {};
+
+            return {
+                ...contact.row_data,
+                'Dial Status': contact.status,
+                'Call Outcome': contact.outcome || '',
+                'Attempts': contact.attempts,
+                'Retries': contact.retry_attempt,
+                'Last Attempt': contact.last_attempt_at ? contact.last_attempt_at.toISOString() : '',
+                'Next Attempt': contact.status === 'pending' && contact.next_attempt_at ? contact.next_attempt_at.toISOString() : '',
+                'Execution IDs': contact.execution_ids.join(' '),
+                'Disposition': analysis.disposition || '',
+                'Sentiment': analysis.sentiment || '',
+                'Summary': analysis.summary || '',
+                'Error': contact.last_error || '',
+            };
+        });
+
+        const date = new Date().toISOString().split('T')[0];
+        const safeName = campaign.name.replace(/[^a-zA-Z0-9-_]+/g, '_').slice(0, 50);
+        const csvFilename = `campaign_${safeName}_results_${date}.csv`;
+
+        const filePath = sheetService.saveToCSV(headers, rows, csvFilename);
+
+        // Send file as download
+        res.download(filePath, csvFilename, (err) => {
+            if (err) {
+                console.error('Error sending file:', err);
+                if (!res.headersSent) {
+                    res.status(500).json({ error: 'Failed to download file' });
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Download campaign results error:', error);
+        res.status(500).json({ error: 'Failed to export campaign results' });
+    }
+};
+
+// Change which columns are sent to the agent as the contact's name and call variables
+exports.updateContactColumns = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const campaign = await Campaign.findOne({ _id: id, client_id: req.clientId });
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        const columns = parseContactColumns(req.body);
+        if (columns.error) {
+            return res.status(400).json({ error: columns.error });
+        }
+
+        campaign.name_column_name = columns.name_column_name;
+        campaign.variable_mapping = columns.variable_mapping;
+
+        // Uploaded files can be checked now; a column missing from a sheet just leaves its variable out
+        if (campaign.source === 'upload') {
+            const headers = [...new Set(campaign.uploads.flatMap(upload => upload.headers))];
+            const missing = findMissingColumns(headers, campaign);
+            if (missing.length > 0) {
+                return res.status(400).json({ error: `Column(s) not found in uploaded files: ${missing.join(', ')}`, headers });
+            }
+        }
+
+        await campaign.save();
+
+        // Contacts already called keep the variables they were called with
+        const updated = await campaignService.refreshPendingContacts(campaign);
+
+        res.json({
+            success: true,
+            message: `Call variables updated for ${updated} pending contact(s)`,
+            campaign,
+        });
+    } catch (error) {
+        console.error('Update contact columns error:', error);
+        res.status(500).json({ error: 'Failed to update call variables' });
+    }
+};
+
+// Change a campaign's concurrent call limit, calls per minute and dial delay
+exports.updateCampaignPacing = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { dial_delay } = req.body;
+
+        const { pacing, error } = parsePacing(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (dial_delay !== undefined) {
+            if (!(Number(dial_delay) >= 0)) {
+                return res.status(400).json({ error: 'dial_delay must be a non-negative number of seconds' });
+            }
+            pacing.dial_delay = Number(dial_delay);
+        }
+
+        if (Object.keys(pacing).length === 0) {
+            return res.status(400).json({ error: 'Provide max_concurrent_calls, calls_per_minute or dial_delay' });
+        }
+
+        const campaign = await Campaign.findOneAndUpdate(
+            { _id: id, client_id: req.clientId },
+            { $set: pacing },
+            { new: true }
+        );
+
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Campaign pacing updated',
+            campaign,
+        });
+    } catch (error) {
+        console.error('Update campaign pacing error:', error);
+        res.status(500).json({ error: 'Failed to update campaign pacing' });
+    }
+};
+
+// Change a campaign's time zone, calling windows, blackout dates and start time
+exports.updateCampaignSchedule = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const campaign = await Campaign.findOne({ _id: id, client_id: req.clientId });
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        const { schedule, error } = parseSchedule(req.body, campaign.timezone);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (Object.keys(schedule).length === 0) {
+            return res.status(400).json({ error: 'Provide timezone, calling_windows, blackout_dates, active_hours, contact_timezone or scheduled_at' });
+        }
+
+        campaign.set(schedule);
+        if (schedule.scheduled_at) {
+            campaign.scheduled_at_migrated = true;
+        }
+
+        if (schedule.contact_timezone && campaign.source === 'upload') {
+            const headers = [...new Set(campaign.uploads.flatMap(upload => upload.headers))];
+            const missing = findMissingColumns(headers, campaign);
+            if (missing.length > 0) {
+                return res.status(400).json({ error: `Column(s) not found in uploaded files: ${missing.join(', ')}`, headers });
+            }
+        }
+
+        await campaign.save();
+
+        // Contacts not dialed yet follow the new time zone setting
+        if (schedule.contact_timezone) {
+            await campaignService.refreshPendingContacts(campaign);
+        }
+
+        res.json({
+            success: true,
+            message: 'Campaign schedule updated',
+            campaign,
+        });
+    } catch (error) {
+        console.error('Update campaign schedule error:', error);
+        res.status(500).json({ error: 'Failed to update campaign schedule' });
+    }
+};
+
+// Change when a campaign completes on its own
+exports.updateEndConditions = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const campaign = await Campaign.findOne({ _id: id, client_id: req.clientId });
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        const { endConditions, error } = parseEndConditions(req.body, campaign.timezone);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (Object.keys(endConditions).length === 0) {
+            return res.status(400).json({ error: 'Provide end_conditions with all_contacts_done, end_at, max_calls or max_cost' });
+        }
+
+        Object.entries(endConditions).forEach(([key, value]) => {
+            campaign.set(`end_conditions.${key}`, value);
+        });
+        await campaign.save();
+
+        res.json({
+            success: true,
+            message: 'Campaign end conditions updated',
+            campaign,
+        });
+    } catch (error) {
+        console.error('Update end conditions error:', error);
+        res.status(500).json({ error: 'Failed to update end conditions' });
+    }
+};
+
+// Change how a campaign retries unsuccessful calls
+exports.updateRetryPolicy = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { max_retries, retry_interval_minutes } = req.body;
+
+        const { retryPolicy, error } = parseRetryPolicy(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (max_retries !== undefined) {
+            if (!(Number.isInteger(max_retries) && max_retries >= 0 && max_retries <= MAX_RETRIES)) {
+                return res.status(400).json({ error: `max_retries must be a whole number between 0 and ${MAX_RETRIES}` });
+            }
+            retryPolicy.max_retries = max_retries;
+        }
+
+        if (retry_interval_minutes !== undefined) {
+            if (!(typeof retry_interval_minutes === 'number' && retry_interval_minutes >= 1 && retry_interval_minutes <= MAX_RETRY_DELAY_MINUTES)) {
+                return res.status(400).json({ error: `retry_interval_minutes must be between 1 and ${MAX_RETRY_DELAY_MINUTES}` });
+            }
+            retryPolicy.retry_interval_minutes = retry_interval_minutes;
+        }
+
+        if (Object.keys(retryPolicy).length === 0) {
+            return res.status(400).json({ error: 'Provide retry_policy, max_retries or retry_interval_minutes' });
+        }
+
+        // Retries already scheduled keep their time; the new policy applies from the next outcome
+        const campaign = await Campaign.findOneAndUpdate(
+            { _id: id, client_id: req.clientId },
+            { $set: retryPolicy },
+            { new: true, runValidators: true }
+        );
+
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Campaign retry policy updated',
+            campaign,
+        });
+    } catch (error) {
+        console.error('Update retry policy error:', error);
+        res.status(500).json({ error: 'Failed to update retry policy' });
+    }
+};
+
+// Report of the contacts skipped because their number was already called
+exports.getCampaignDuplicates = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        if (reason && !['campaign', 'cooldown'].includes(reason)) {
+            return res.status(400).json({ error: 'Reason must be campaign or cooldown' });
+        }
+
+        const campaign = await Campaign.findOne({ _id: id, client_id: req.clientId }).select('_id');
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        const query = { campaign_id: campaign._id, status: 'duplicate' };
+        if (reason) {
+            query.duplicate_reason = reason;
+        }
+
+        const [total, contacts, breakdown] = await Promise.all([
+            CampaignContact.countDocuments(query),
+            CampaignContact.find(query)
+                .sort({ row_number: 1, created_at: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('row_number raw_phone phone name duplicate_of duplicate_reason last_error updated_at')
+                .populate({
+                    path: 'duplicate_of',
+                    select: 'campaign_id row_number name status outcome last_attempt_at',
+                    populate: { path: 'campaign_id', select: 'name' },
+                }),
+            CampaignContact.aggregate([
+                { $match: { campaign_id: campaign._id, status: 'duplicate' } },
+                { $group: { _id: '$duplicate_reason', count: { $sum: 1 } } },
+            ]),
+        ]);
+
+        const byReason = { campaign: 0, cooldown: 0 };
+        breakdown.forEach(item => {
+            if (item._id) byReason[item._id] = item.count;
+        });
+
+        res.json({
+            success: true,
+            total,
+            count: contacts.length,
+            page,
+            by_reason: byReason,
+            duplicates: contacts,
+        });
+    } catch (error) {
+        console.error('Get campaign duplicates error:', error);
+        res.status(500).json({ error: 'Failed to fetch duplicate contacts' });
+    }
+};
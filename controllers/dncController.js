@@ -0,0 +1,170 @@
+const DncEntry = require('../models/DncEntry');
+const dncService = require('../services/dncService');
+const contactFileService = require('../services/contactFileService');
+
+const MAX_NUMBERS_PER_REQUEST = 1000;
+
+// List the client's Do-Not-Call numbers
+exports.getEntries = async (req, res) => {
+    try {
+        const { search, source } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const query = { client_id: req.clientId };
+
+        if (source) {
+            query.source = source;
+        }
+
+        // Match on digits, whatever format was typed
+        const digits = (search || '').replace(/\D/g, '');
+        if (digits) {
+            query.phone = { $regex: digits };
+        }
+
+        const [total, entries] = await Promise.all([
+            DncEntry.countDocuments(query),
+            DncEntry.find(query)
+                .sort({ created_at: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+        ]);
+
+        res.json({
+            success: true,
+            total,
+            count: entries.length,
+            page,
+            entries,
+        });
+    } catch (error) {
+        console.error('Get DNC entries error:', error);
+        res.status(500).json({ error: 'Failed to fetch Do-Not-Call list' });
+    }
+};
+
+// Add one number ({ phone }) or several ({ phones: [...] }) to the list
+exports.addEntries = async (req, res) => {
+    try {
+        const { phone, phones, reason, source } = req.body;
+
+        const numbers = phones !== undefined ? phones : [phone];
+        if (!Array.isArray(numbers) || numbers.length === 0 || numbers.every(number => !number)) {
+            return res.status(400).json({ error: 'Provide phone, or phones as a list of numbers' });
+        }
+        if (numbers.length > MAX_NUMBERS_PER_REQUEST) {
+            return res.status(400).json({ error: `Add at most ${MAX_NUMBERS_PER_REQUEST} numbers per request, or import a file` });
+        }
+        if (source !== undefined && !['manual', 'api'].includes(source)) {
+            return res.status(400).json({ error: 'Source must be manual or api' });
+        }
+        if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+            return res.status(400).json({ error: 'Reason must be text of at most 500 characters' });
+        }
+
+        const result = await dncService.addNumbers(req.clientId, numbers, {
+            source: source || 'manual',
+            reason: reason ? reason.trim() : null,
+        });
+
+        if (result.added === 0 && result.existing === 0) {
+            return res.status(400).json({ error: 'No valid phone numbers', invalid: result.invalid });
+        }
+
+        res.status(result.added > 0 ? 201 : 200).json({
+            success: true,
+            message: `${result.added} number(s) added to the Do-Not-Call list`,
+            ...result,
+        });
+    } catch (error) {
+        console.error('Add DNC entries error:', error);
+        res.status(500).json({ error: 'Failed to add to Do-Not-Call list' });
+    }
+};
+
+// Add the numbers of a CSV/Excel file to the list
+exports.importEntries = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'A CSV or Excel file is required (form field "file")' });
+        }
+
+        if (!contactFileService.isSupported(req.file.originalname)) {
+            return res.status(400).json({ error: 'Only .csv and .xlsx files are supported' });
+        }
+
+        let file;
+        try {
+            file = await contactFileService.parse(req.file.buffer, req.file.originalname);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const numbers = dncService.getImportNumbers(file.headers, file.rows);
+        if (numbers.length === 0) {
+            return res.status(400).json({ error: 'No phone numbers found in the file' });
+        }
+
+        const reason = typeof req.body.reason === 'string' && req.body.reason.trim()
+            ? req.body.reason.trim().slice(0, 500)
+            : `Imported from ${req.file.originalname}`;
+
+        const result = await dncService.addNumbers(req.clientId, numbers, { source: 'import', reason });
+
+        res.json({
+            success: true,
+            message: `${result.added} number(s) added to the Do-Not-Call list`,
+            rows: numbers.length,
+            added: result.added,
+            existing: result.existing,
+            invalid: result.invalid.length,
+        });
+    } catch (error) {
+        console.error('Import DNC entries error:', error);
+        res.status(500).json({ error: 'Failed to import Do-Not-Call list' });
+    }
+};
+
+// Check whether a number is on the list
+exports.checkNumber = async (req, res) => {
+    try {
+        const { phone } = req.query;
+
+        if (!dncService.normalizePhone(phone)) {
+            return res.status(400).json({ error: 'A valid phone number is required' });
+        }
+
+        const entry = await dncService.findEntry(req.clientId, phone);
+
+        res.json({
+            success: true,
+            phone: dncService.normalizePhone(phone),
+            suppressed: !!entry,
+            entry,
+        });
+    } catch (error) {
+        console.error('Check DNC number error:', error);
+        res.status(500).json({ error: 'Failed to check Do-Not-Call list' });
+    }
+};
+
+// Remove a number from the list, so it can be called again
+exports.removeEntry = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const entry = await DncEntry.findOneAndDelete({ _id: id, client_id: req.clientId });
+        if (!entry) {
+            return res.status(404).json({ error: 'Do-Not-Call entry not found' });
+        }
+
+        res.json({
+            success: true,
+            message: `${entry.phone} removed from the Do-Not-Call list`,
+        });
+    } catch (error) {
+        console.error('Remove DNC entry error:', error);
+        res.status(500).json({ error: 'Failed to remove from Do-Not-Call list' });
+    }
+};
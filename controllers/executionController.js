@@ -1,12 +1,18 @@
+const mongoose = require('mongoose');
 const Execution = require('../models/Execution');
 const Agent = require('../models/Agent');
 const sheetService = require('../services/sheetService');
+const bolnaService = require('../services/bolnaService');
+const extractionQueueService = require('../services/extractionQueueService');
 const path = require('path');
 
+// Clients with a manual sync currently running in this process
+const activeManualSyncs = new Set();
+
 // Get all executions for the authenticated client
 exports.getMyExecutions = async (req, res) => {
     try {
-        const { from, to, status, agentId } = req.query;
+        const { from, to, status, agentId, extraction_state, disposition, sentiment } = req.query;
 
         // Get all agent IDs owned by this client
         const clientAgents = await Agent.find({ client_id: req.clientId }).select('_id');
@@ -36,6 +42,18 @@ exports.getMyExecutions = async (req, res) => {
             query.status = status;
         }
 
+        if (extraction_state) {
+            query.extraction_state = extraction_state;
+        }
+
+        if (disposition) {
+            query['analysis.disposition'] = disposition;
+        }
+
+        if (sentiment) {
+            query['analysis.sentiment'] = sentiment;
+        }
+
         if (from || to) {
             query.started_at = {};
             if (from) query.started_at.$gte = new Date(from);
@@ -77,7 +95,17 @@ exports.getExecutionById = async (req, res) => {
             return res.status(403).json({ error: 'Unauthorized access' });
         }
 
-        res.json({ success: true, execution });
+        // Extracted values with their confidence and supporting quote, for reviewers
+        const customFields = execution.extracted_data?.custom_fields || {};
+        const fieldDetails = execution.extracted_data?.field_details || {};
+        const fields = Object.keys(customFields).map(fieldName => ({
+            field_name: fieldName,
+            value: customFields[fieldName],
+            confidence: fieldDetails[fieldName]?.confidence ?? null,
+            evidence: fieldDetails[fieldName]?.evidence ?? null,
+        }));
+
+        res.json({ success: true, execution, fields });
     } catch (error) {
         console.error('Get execution error:', error);
         res.status(500).json({ error: 'Failed to fetch execution' });
@@ -101,6 +129,8 @@ exports.getExecutionStats = async (req, res) => {
                     total_cost: 0,
                     total_conversation_time: 0,
                     by_status: {},
+                    by_disposition: {},
+                    by_sentiment: {},
                 },
             });
         }
@@ -143,6 +173,28 @@ exports.getExecutionStats = async (req, res) => {
             by_status[item._id] = item.count;
         });
 
+        // Get call analysis breakdowns (only analyzed calls)
+        const [dispositionBreakdown, sentimentBreakdown] = await Promise.all([
+            Execution.aggregate([
+                { $match: { ...match, 'analysis.disposition': { $ne: null } } },
+                { $group: { _id: '$analysis.disposition', count: { $sum: 1 } } },
+            ]),
+            Execution.aggregate([
+                { $match: { ...match, 'analysis.sentiment': { $ne: null } } },
+                { $group: { _id: '$analysis.sentiment', count: { $sum: 1 } } },
+            ]),
+        ]);
+
+        const by_disposition = {};
+        dispositionBreakdown.forEach(item => {
+            by_disposition[item._id] = item.count;
+        });
+
+        const by_sentiment = {};
+        sentimentBreakdown.forEach(item => {
+            by_sentiment[item._id] = item.count;
+        });
+
         res.json({
             success: true,
             stats: {
@@ -150,6 +202,8 @@ exports.getExecutionStats = async (req, res) => {
                 total_cost: stats[0]?.total_cost || 0,
                 total_conversation_time: stats[0]?.total_conversation_time || 0,
                 by_status,
+                by_disposition,
+                by_sentiment,
             },
         });
     } catch (error) {
@@ -162,6 +216,8 @@ exports.getExecutionStats = async (req, res) => {
 exports.exportDoctorData = async (req, res) => {
     try {
         const { from, to, filename } = req.query;
+        // Adds <Field>_Confidence and <Field>_Evidence columns after each field
+        const includeConfidence = req.query.include_confidence === 'true';
 
         // Get all agent IDs owned by this client
         const clientAgents = await Agent.find({ client_id: req.clientId }).select('_id');
@@ -171,24 +227,6 @@ exports.exportDoctorData = async (req, res) => {
             return res.status(404).json({ error: 'No agents found' });
         }
 
-        // Fetch active extraction fields for this client to determine columns
-        const ExtractionField = require('../models/ExtractionField');
-        const activeFields = await ExtractionField.find({
-            client_id: req.clientId,
-            is_active: true
-        }).sort({ order: 1 });
-
-        const customFieldNames = activeFields.map(f => f.field_name);
-
-        // Define all headers
-        const headers = [
-            ...customFieldNames,
-            'Call Date',
-            'Call Time',
-            'Execution ID',
-            'Agent Name'
-        ];
-
         // Build query for executions with extracted data
         const query = {
             agent_id: { $in: agentIds },
@@ -211,14 +249,45 @@ exports.exportDoctorData = async (req, res) => {
             return res.status(404).json({ error: 'No extracted data found' });
         }
 
+        // Columns: union of the schema versions the exported calls were extracted with
+        // (plus the current one); calls from before versioning contribute their own fields
+        const extractionSchemaService = require('../services/extractionSchemaService');
+        const currentVersion = await extractionSchemaService.getCurrentVersion(req.clientId);
+        const usedVersions = [...new Set(executions.map(e => e.extraction_schema_version).filter(v => v != null))];
+        const versions = await extractionSchemaService.listVersions(req.clientId, [...new Set([currentVersion.version, ...usedVersions])]);
+
+        const unversionedFieldNames = executions
+            .filter(e => e.extraction_schema_version == null)
+            .flatMap(e => Object.keys(e.extracted_data?.custom_fields || {}));
+
+        const customFieldNames = extractionSchemaService.getColumnUnion(versions, unversionedFieldNames);
+
+        // Define all headers
+        const headers = [
+            ...customFieldNames.flatMap(fieldName => includeConfidence
+                ? [fieldName, `${fieldName}_Confidence`, `${fieldName}_Evidence`]
+                : [fieldName]),
+            'Call Date',
+            'Call Time',
+            'Execution ID',
+            'Agent Name',
+            'Schema Version'
+        ];
+
         // Prepare data for CSV
         const csvData = executions.map(execution => {
             const row = {};
             const customFields = execution.extracted_data?.custom_fields || {};
+            const fieldDetails = execution.extracted_data?.field_details || {};
 
-            // Map custom fields
+            // Map custom fields; blank when the field wasn't part of this call's schema version
             customFieldNames.forEach(fieldName => {
-                row[fieldName] = customFields[fieldName] || 'Not Found';
+                if (!(fieldName in customFields)) return;
+                row[fieldName] = customFields[fieldName] ?? 'Not Found';
+                if (includeConfidence) {
+                    row[`${fieldName}_Confidence`] = fieldDetails[fieldName]?.confidence ?? '';
+                    row[`${fieldName}_Evidence`] = fieldDetails[fieldName]?.evidence ?? '';
+                }
             });
 
             // Map metadata
@@ -226,6 +295,7 @@ exports.exportDoctorData = async (req, res) => {
             row['Call Time'] = execution.started_at ? execution.started_at.toISOString() : '';
             row['Execution ID'] = execution.bolna_execution_id || execution._id.toString();
             row['Agent Name'] = execution.agent_id?.name || '';
+            row['Schema Version'] = execution.extraction_schema_version ?? '';
 
             return row;
         });
@@ -274,13 +344,69 @@ exports.listExportedFiles = async (req, res) => {
     }
 };
 
-// Sync past executions to Google Sheet
-exports.syncPastExecutions = async (req, res) => {
+// Manually sync the authenticated client's agents (optionally a single agent) from Bolna
+exports.syncMyExecutions = async (req, res) => {
+    const clientKey = req.clientId.toString();
+
+    if (activeManualSyncs.has(clientKey)) {
+        return res.status(409).json({ success: false, error: 'A sync is already running for your account' });
+    }
+
     try {
-        const bolnaService = require('../services/bolnaService');
-        const Agent = require('../models/Agent');
-        const Execution = require('../models/Execution');
+        const agentId = req.body?.agentId || req.query.agentId;
+        const fullResync = req.body?.full_resync === true || req.body?.full_resync === 'true';
+
+        if (agentId && !mongoose.Types.ObjectId.isValid(agentId)) {
+            return res.status(400).json({ success: false, error: 'Invalid agentId' });
+        }
+
+        const agentQuery = { client_id: req.clientId };
+        if (agentId) {
+            agentQuery._id = agentId;
+        }
+
+        const agents = await Agent.find(agentQuery);
+
+        if (agentId && agents.length === 0) {
+            return res.status(404).json({ success: false, error: 'Agent not found' });
+        }
+
+        if (agents.length === 0) {
+            return res.json({
+                success: true,
+                message: 'No agents found to sync',
+                synced: 0,
+                agents: [],
+            });
+        }
+
+        activeManualSyncs.add(clientKey);
+        console.log(`🔄 Manual ${fullResync ? 'full resync' : 'sync'} of ${agents.length} agent(s) triggered by user:`, req.client.email);
+
+        const results = await bolnaService.syncAgents(agents, { fullResync });
+
+        res.json({
+            success: true,
+            message: 'Sync completed successfully',
+            synced: results.reduce((sum, result) => sum + result.synced, 0),
+            failed: results.reduce((sum, result) => sum + result.failed, 0),
+            full_resync: fullResync,
+            agents: results,
+        });
+    } catch (error) {
+        console.error('Manual sync error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Sync failed'
+        });
+    } finally {
+        activeManualSyncs.delete(clientKey);
+    }
+};
 
+// Queue past executions for extraction and Google Sheet sync
+exports.syncPastExecutions = async (req, res) => {
+    try {
         // Get all agent IDs owned by this client
         const clientAgents = await Agent.find({ client_id: req.clientId }).select('_id');
         const agentIds = clientAgents.map(agent => agent._id);
@@ -303,30 +429,133 @@ exports.syncPastExecutions = async (req, res) => {
         const executions = await Execution.find(query);
         console.log(`Found ${executions.length} past executions to sync for client ${req.clientId}`);
 
-        let syncedCount = 0;
-
-        // Process in parallel with concurrency limit (e.g., 5 at a time) to avoid rate limits
-        const batchSize = 5;
-        for (let i = 0; i < executions.length; i += batchSize) {
-            const batch = executions.slice(i, i + batchSize);
-            await Promise.all(batch.map(async (execution) => {
-                try {
-                    await bolnaService.processTranscriptForExtraction(execution);
-                    syncedCount++;
-                } catch (error) {
-                    console.error(`Failed to sync execution ${execution._id}:`, error.message);
-                }
-            }));
+        let queuedCount = 0;
+
+        for (const execution of executions) {
+            try {
+                const job = await extractionQueueService.enqueue(execution, { retry: true });
+                if (job) queuedCount++;
+            } catch (error) {
+                console.error(`Failed to queue execution ${execution._id}:`, error.message);
+            }
         }
 
         res.json({
             success: true,
-            count: syncedCount,
+            count: queuedCount,
             totalFound: executions.length,
-            message: `Synced ${syncedCount} past executions to Google Sheet`
+            message: `Queued ${queuedCount} past executions for Google Sheet sync`
         });
     } catch (error) {
         console.error('Sync past executions error:', error);
         res.status(500).json({ error: 'Failed to sync past executions' });
     }
 };
+
+// Re-run extraction for a single execution
+exports.reextractExecution = async (req, res) => {
+    try {
+        const { executionId } = req.params;
+
+        const execution = await Execution.findById(executionId);
+
+        if (!execution) {
+            return res.status(404).json({ error: 'Execution not found' });
+        }
+
+        // Verify client owns this execution's agent
+        const agent = await Agent.findOne({ _id: execution.agent_id, client_id: req.clientId }).select('_id');
+        if (!agent) {
+            return res.status(403).json({ error: 'Unauthorized access' });
+        }
+
+        if (!execution.transcript || execution.transcript.trim() === '') {
+            return res.status(400).json({ error: 'Execution has no transcript to extract from' });
+        }
+
+        const job = await extractionQueueService.enqueue(execution, { reextract: true });
+
+        if (!job) {
+            return res.status(400).json({ error: 'Execution could not be queued for extraction' });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: job.status === 'processing'
+                ? 'Extraction is already running for this execution'
+                : 'Execution queued for re-extraction',
+            job: {
+                status: job.status,
+                attempts: job.attempts,
+                next_run_at: job.next_run_at,
+            },
+        });
+    } catch (error) {
+        console.error('Re-extract execution error:', error);
+        res.status(500).json({ error: 'Failed to queue re-extraction' });
+    }
+};
+
+// Re-run extraction for every execution matching the given filters
+exports.bulkReextract = async (req, res) => {
+    try {
+        const { extraction_state, agentId, from, to } = req.body || {};
+        const limit = Math.min(parseInt(req.body?.limit) || 500, 2000);
+
+        const clientAgents = await Agent.find({ client_id: req.clientId }).select('_id');
+        const agentIds = clientAgents.map(agent => agent._id);
+
+        if (agentIds.length === 0) {
+            return res.json({ success: true, matched: 0, queued: 0 });
+        }
+
+        const query = {
+            agent_id: { $in: agentIds },
+            transcript: { $exists: true, $ne: '' },
+        };
+
+        if (agentId) {
+            if (!agentIds.some(id => id.toString() === agentId)) {
+                return res.status(403).json({ error: 'Unauthorized access to agent' });
+            }
+            query.agent_id = agentId;
+        }
+
+        // Accepts a single state or a list, e.g. ["failed", "skipped_no_key"]
+        if (extraction_state) {
+            query.extraction_state = Array.isArray(extraction_state)
+                ? { $in: extraction_state }
+                : extraction_state;
+        }
+
+        if (from || to) {
+            query.started_at = {};
+            if (from) query.started_at.$gte = new Date(from);
+            if (to) query.started_at.$lte = new Date(to);
+        }
+
+        const executions = await Execution.find(query)
+            .sort({ started_at: -1 })
+            .limit(limit);
+
+        let queued = 0;
+        for (const execution of executions) {
+            try {
+                const job = await extractionQueueService.enqueue(execution, { reextract: true });
+                if (job) queued++;
+            } catch (error) {
+                console.error(`Failed to queue execution ${execution._id} for re-extraction:`, error.message);
+            }
+        }
+
+        res.status(202).json({
+            success: true,
+            matched: executions.length,
+            queued,
+            message: `Queued ${queued} executions for re-extraction`,
+        });
+    } catch (error) {
+        console.error('Bulk re-extract error:', error);
+        res.status(500).json({ error: 'Failed to queue re-extraction' });
+    }
+};
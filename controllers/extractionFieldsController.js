@@ -1,4 +1,130 @@
+const mongoose = require('mongoose');
 const ExtractionField = require('../models/ExtractionField');
+const extractionSchemaService = require('../services/extractionSchemaService');
+
+const FIELD_TYPES = ['string', 'number', 'boolean', 'date', 'enum', 'phone', 'email'];
+const MERGE_STRATEGIES = ['first_confident', 'latest', 'concat'];
+const MAX_PREVIEW_TRANSCRIPT_LENGTH = 200000;
+
+/**
+ * Validate the type settings of a create/update request
+ * @param {Object} body - Request body
+ * @param {Object} [current] - Existing field, for partial updates
+ * @returns {Object} { error } or { field_type, allowed_values }
+ */
+function parseTypeSettings(body, current = {}) {
+    const fieldType = body.field_type !== undefined ? body.field_type : (current.field_type || 'string');
+
+    if (!FIELD_TYPES.includes(fieldType)) {
+        return { error: `Field type must be one of: ${FIELD_TYPES.join(', ')}` };
+    }
+
+    let allowedValues = body.allowed_values !== undefined ? body.allowed_values : (current.allowed_values || []);
+    if (!Array.isArray(allowedValues)) {
+        return { error: 'Allowed values must be an array' };
+    }
+
+    allowedValues = [...new Set(allowedValues.map(v => String(v).trim()).filter(Boolean))];
+
+    if (fieldType === 'enum' && allowedValues.length === 0) {
+        return { error: 'Enum fields need at least one allowed value' };
+    }
+
+    return {
+        field_type: fieldType,
+        allowed_values: fieldType === 'enum' ? allowedValues : [],
+    };
+}
+
+/**
+ * Validate an unsaved field set sent to the preview endpoint
+ * @param {Array} fields - Proposed field definitions
+ * @returns {Object} { error } or { fields }
+ */
+function parseProposedFields(fields) {
+    if (!Array.isArray(fields) || fields.length === 0) {
+        return { error: 'Fields must be a non-empty array' };
+    }
+
+    const parsed = [];
+    const names = new Set();
+
+    for (const field of fields) {
+        if (!field || !field.field_name || !field.description) {
+            return { error: 'Each field needs a field name and description' };
+        }
+
+        if (!/^[a-zA-Z0-9_]+$/.test(field.field_name) || field.field_name.length > 50) {
+            return { error: `Invalid field name "${field.field_name}"` };
+        }
+
+        if (names.has(field.field_name)) {
+            return { error: `Field "${field.field_name}" is listed more than once` };
+        }
+        names.add(field.field_name);
+
+        const typeSettings = parseTypeSettings(field);
+        if (typeSettings.error) {
+            return { error: `${field.field_name}: ${typeSettings.error}` };
+        }
+
+        const mergeStrategy = field.merge_strategy || 'first_confident';
+        if (!MERGE_STRATEGIES.includes(mergeStrategy)) {
+            return { error: `${field.field_name}: Merge strategy must be one of: ${MERGE_STRATEGIES.join(', ')}` };
+        }
+
+        parsed.push({
+            field_name: field.field_name,
+            description: String(field.description).slice(0, 500),
+            field_type: typeSettings.field_type,
+            allowed_values: typeSettings.allowed_values,
+            required: !!field.required,
+            merge_strategy: mergeStrategy,
+        });
+    }
+
+    return { fields: parsed };
+}
+
+/**
+ * Record a new schema version after a change to the client's fields.
+ * The field change is already saved, so a failure here is logged rather than returned.
+ */
+async function recordSchemaVersion(clientId, change, fieldName) {
+    try {
+        return await extractionSchemaService.createVersion(clientId, change, fieldName);
+    } catch (error) {
+        console.error('⚠️  Failed to record extraction schema version:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Validate the agents a field is assigned to (empty means all agents)
+ * @returns {Promise<Object>} { error } or { agent_ids }
+ */
+async function parseAgentIds(clientId, agentIds) {
+    if (agentIds === null) {
+        return { agent_ids: [] };
+    }
+
+    if (!Array.isArray(agentIds)) {
+        return { error: 'Agent IDs must be an array' };
+    }
+
+    const uniqueIds = [...new Set(agentIds.map(String))];
+    if (uniqueIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return { error: 'Invalid agent ID' };
+    }
+
+    const Agent = require('../models/Agent');
+    const count = await Agent.countDocuments({ _id: { $in: uniqueIds }, client_id: clientId });
+    if (count !== uniqueIds.length) {
+        return { error: 'One or more agents were not found' };
+    }
+
+    return { agent_ids: uniqueIds };
+}
 
 class ExtractionFieldsController {
     /**
@@ -32,7 +158,7 @@ class ExtractionFieldsController {
     async createField(req, res) {
         try {
             const clientId = req.clientId;
-            const { field_name, description, is_active } = req.body;
+            const { field_name, description, is_active, required, merge_strategy, agent_ids } = req.body;
 
             // Validation
             if (!field_name || !description) {
@@ -42,6 +168,21 @@ class ExtractionFieldsController {
                 });
             }
 
+            const typeSettings = parseTypeSettings(req.body);
+            if (typeSettings.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: typeSettings.error,
+                });
+            }
+
+            if (merge_strategy !== undefined && !MERGE_STRATEGIES.includes(merge_strategy)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Merge strategy must be one of: ${MERGE_STRATEGIES.join(', ')}`,
+                });
+            }
+
             // Validate field name format
             if (!/^[a-zA-Z0-9_]+$/.test(field_name)) {
                 return res.status(400).json({
@@ -50,6 +191,14 @@ class ExtractionFieldsController {
                 });
             }
 
+            const agentSettings = await parseAgentIds(clientId, agent_ids ?? null);
+            if (agentSettings.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: agentSettings.error,
+                });
+            }
+
             // Check for duplicate field name
             const existingField = await ExtractionField.findOne({
                 client_id: clientId,
@@ -74,34 +223,27 @@ class ExtractionFieldsController {
             const field = await ExtractionField.create({
                 field_name,
                 description,
+                field_type: typeSettings.field_type,
+                allowed_values: typeSettings.allowed_values,
+                required: !!required,
+                merge_strategy,
+                agent_ids: agentSettings.agent_ids,
                 client_id: clientId,
                 order,
                 is_active: is_active !== undefined ? is_active : true,
             });
 
+            const schemaVersion = await recordSchemaVersion(clientId, 'create', field.field_name);
+
             // If user has Google Sheets connected, update headers
             const Client = require('../models/Client');
             const client = await Client.findById(clientId);
 
-            if (client && client.google_authorized && client.google_sheet_id) {
+            if (client && client.google_authorized) {
                 try {
-                    const googleSheetsService = require('../services/googleSheetsService');
-
-                    // Get all active fields to build headers
-                    const allFields = await ExtractionField.find({
-                        client_id: clientId,
-                        is_active: true,
-                    }).sort({ order: 1 });
-
-                    const headers = [
-                        ...allFields.map(f => f.field_name),
-                        'Call_Date',
-                        'Call_Time',
-                        'Execution_ID',
-                        'Agent_Name',
-                    ];
-
-                    await googleSheetsService.createHeaders(client, client.google_sheet_id, headers);
+                    // Every destination sheet/tab the new field can land in
+                    const extractionDestinationService = require('../services/extractionDestinationService');
+                    await extractionDestinationService.syncHeaders(client);
                     console.log('✅ Google Sheets headers updated');
                 } catch (error) {
                     console.error('⚠️  Failed to update Google Sheets headers:', error.message);
@@ -113,6 +255,7 @@ class ExtractionFieldsController {
                 success: true,
                 message: 'Extraction field created successfully',
                 field,
+                schema_version: schemaVersion ? schemaVersion.version : null,
             });
         } catch (error) {
             console.error('Error creating extraction field:', error);
@@ -139,7 +282,7 @@ class ExtractionFieldsController {
         try {
             const clientId = req.clientId;
             const fieldId = req.params.id;
-            const { field_name, description, is_active } = req.body;
+            const { field_name, description, is_active, required, merge_strategy, agent_ids } = req.body;
 
             // Find field and verify ownership
             const field = await ExtractionField.findOne({
@@ -154,6 +297,13 @@ class ExtractionFieldsController {
                 });
             }
 
+            if (merge_strategy !== undefined && !MERGE_STRATEGIES.includes(merge_strategy)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Merge strategy must be one of: ${MERGE_STRATEGIES.join(', ')}`,
+                });
+            }
+
             // If changing field name, check for duplicates
             if (field_name && field_name !== field.field_name) {
                 // Validate field name format
@@ -183,13 +333,43 @@ class ExtractionFieldsController {
             // Update other fields
             if (description !== undefined) field.description = description;
             if (is_active !== undefined) field.is_active = is_active;
+            if (required !== undefined) field.required = !!required;
+            if (merge_strategy !== undefined) field.merge_strategy = merge_strategy;
 
+            if (agent_ids !== undefined) {
+                const agentSettings = await parseAgentIds(clientId, agent_ids);
+                if (agentSettings.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: agentSettings.error,
+                    });
+                }
+                field.agent_ids = agentSettings.agent_ids;
+            }
+
+            if (req.body.field_type !== undefined || req.body.allowed_values !== undefined) {
+                const typeSettings = parseTypeSettings(req.body, field);
+                if (typeSettings.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: typeSettings.error,
+                    });
+                }
+                field.field_type = typeSettings.field_type;
+                field.allowed_values = typeSettings.allowed_values;
+            }
+
+            // Only real changes start a new schema version
+            const changed = field.isModified();
             await field.save();
 
+            const schemaVersion = changed ? await recordSchemaVersion(clientId, 'update', field.field_name) : null;
+
             res.json({
                 success: true,
                 message: 'Extraction field updated successfully',
                 field,
+                schema_version: schemaVersion ? schemaVersion.version : null,
             });
         } catch (error) {
             console.error('Error updating extraction field:', error);
@@ -228,9 +408,12 @@ class ExtractionFieldsController {
                 });
             }
 
+            const schemaVersion = await recordSchemaVersion(clientId, 'delete', field.field_name);
+
             res.json({
                 success: true,
                 message: 'Extraction field deleted successfully',
+                schema_version: schemaVersion ? schemaVersion.version : null,
             });
         } catch (error) {
             console.error('Error deleting extraction field:', error);
@@ -264,6 +447,7 @@ class ExtractionFieldsController {
                 );
             });
 
+            // Display order only: no new schema version, and sheet columns keep their order
             await Promise.all(updatePromises);
 
             res.json({
@@ -278,6 +462,246 @@ class ExtractionFieldsController {
             });
         }
     }
+
+    /**
+     * Run the current (or a proposed) field set against a transcript without saving anything.
+     * Body: { transcript } or { execution_id }, plus optional { fields } to try unsaved definitions
+     * or { agent_id } to use that agent's field set.
+     */
+    async previewFields(req, res) {
+        try {
+            const clientId = req.clientId;
+            const { transcript, execution_id, fields, agent_id } = req.body;
+
+            if (!transcript && !execution_id) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'A transcript or execution_id is required',
+                });
+            }
+
+            let execution = null;
+            let previewTranscript = transcript;
+
+            if (execution_id) {
+                if (!mongoose.Types.ObjectId.isValid(execution_id)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid execution_id',
+                    });
+                }
+
+                const Execution = require('../models/Execution');
+                const Agent = require('../models/Agent');
+
+                execution = await Execution.findById(execution_id)
+                    .select('agent_id bolna_execution_id transcript extracted_data');
+
+                if (!execution) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Execution not found',
+                    });
+                }
+
+                // Verify client owns this execution's agent
+                const agent = await Agent.findOne({ _id: execution.agent_id, client_id: clientId }).select('_id');
+                if (!agent) {
+                    return res.status(403).json({
+                        success: false,
+                        error: 'Unauthorized access',
+                    });
+                }
+
+                previewTranscript = transcript || execution.transcript;
+            }
+
+            if (typeof previewTranscript !== 'string' || previewTranscript.trim() === '') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Transcript is empty',
+                });
+            }
+
+            if (previewTranscript.length > MAX_PREVIEW_TRANSCRIPT_LENGTH) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Transcript is too long (max ${MAX_PREVIEW_TRANSCRIPT_LENGTH} characters)`,
+                });
+            }
+
+            let previewFields;
+            if (fields !== undefined) {
+                const proposed = parseProposedFields(fields);
+                if (proposed.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: proposed.error,
+                    });
+                }
+                previewFields = proposed.fields;
+            } else {
+                // The field set of the given agent (or the execution's agent), else every active field
+                const previewAgentId = agent_id || (execution ? execution.agent_id : null);
+
+                if (previewAgentId) {
+                    const Agent = require('../models/Agent');
+                    const previewAgent = mongoose.Types.ObjectId.isValid(previewAgentId)
+                        ? await Agent.findOne({ _id: previewAgentId, client_id: clientId }).select('_id')
+                        : null;
+
+                    if (!previewAgent) {
+                        return res.status(404).json({
+                            success: false,
+                            error: 'Agent not found',
+                        });
+                    }
+
+                    previewFields = await extractionSchemaService.getFieldsForAgent(clientId, previewAgent._id);
+                } else {
+                    previewFields = await ExtractionField.find({
+                        client_id: clientId,
+                        is_active: true,
+                    }).sort({ order: 1 });
+                }
+
+                if (previewFields.length === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'No active extraction fields to preview',
+                    });
+                }
+            }
+
+            const llmProviderService = require('../services/llmProviderService');
+            const provider = llmProviderService.resolveForClient(req.client);
+
+            if (!provider) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No LLM provider configured. Add an API key or provider first.',
+                });
+            }
+
+            const dataExtractionService = require('../services/dataExtractionService');
+            const fieldsForAI = previewFields.map(field => ({
+                field_name: field.field_name,
+                description: field.description,
+                field_type: field.field_type,
+                allowed_values: field.allowed_values,
+                required: field.required,
+                merge_strategy: field.merge_strategy,
+            }));
+
+            let extraction;
+            try {
+                extraction = await dataExtractionService.extractWithCustomFieldsDetailed(
+                    previewTranscript,
+                    fieldsForAI,
+                    provider,
+                    { throwOnError: true }
+                );
+            } catch (error) {
+                return res.status(502).json({
+                    success: false,
+                    error: 'Extraction failed',
+                    details: llmProviderService.describeError(error),
+                });
+            }
+
+            // Side by side with what is stored for the execution (only when the stored transcript was used)
+            const stored = execution && !transcript ? (execution.extracted_data?.custom_fields || null) : null;
+
+            const results = fieldsForAI.map(field => ({
+                field_name: field.field_name,
+                value: extraction.values[field.field_name],
+                confidence: extraction.details[field.field_name]?.confidence ?? null,
+                evidence: extraction.details[field.field_name]?.evidence ?? null,
+                stored_value: stored ? (stored[field.field_name] ?? null) : null,
+                changed: stored ? (stored[field.field_name] ?? 'Not Found') !== extraction.values[field.field_name] : null,
+            }));
+
+            res.json({
+                success: true,
+                source: fields !== undefined ? 'proposed' : 'current',
+                execution_id: execution ? execution._id : null,
+                results,
+                merge: extraction.merge,
+            });
+        } catch (error) {
+            console.error('Error previewing extraction fields:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to preview extraction',
+            });
+        }
+    }
+
+    /**
+     * List the client's extraction schema versions, newest first
+     */
+    async getSchemaVersions(req, res) {
+        try {
+            const clientId = req.clientId;
+            const current = await extractionSchemaService.getCurrentVersion(clientId);
+            const versions = await extractionSchemaService.listVersions(clientId);
+
+            res.json({
+                success: true,
+                current_version: current.version,
+                count: versions.length,
+                versions: versions.map(version => ({
+                    version: version.version,
+                    change: version.change,
+                    changed_field: version.changed_field,
+                    field_names: extractionSchemaService.getFieldNames(version),
+                    createdAt: version.createdAt,
+                })),
+            });
+        } catch (error) {
+            console.error('Error fetching extraction schema versions:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch schema versions',
+            });
+        }
+    }
+
+    /**
+     * Get one extraction schema version with its field definitions
+     */
+    async getSchemaVersion(req, res) {
+        try {
+            const version = parseInt(req.params.version);
+            if (!Number.isInteger(version)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Version must be a number',
+                });
+            }
+
+            const [schemaVersion] = await extractionSchemaService.listVersions(req.clientId, [version]);
+
+            if (!schemaVersion) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Schema version not found',
+                });
+            }
+
+            res.json({
+                success: true,
+                version: schemaVersion,
+            });
+        } catch (error) {
+            console.error('Error fetching extraction schema version:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch schema version',
+            });
+        }
+    }
+
     /**
      * Manually sync headers to Google Sheet
      */
@@ -291,41 +715,49 @@ class ExtractionFieldsController {
             // Debug logging to file
             try {
                 const fs = require('fs');
-                const logMessage = `${new Date().toISOString()} - Sync headers request for client ${clientId}: auth=${client?.google_authorized}, sheet=${client?.google_sheet_id}\n`;
+                const logMessage = `${new Date().toISOString()} - Sync headers request for client ${clientId}: auth=${client?.google_authorized}, sheet=${client?.extraction_sheet_id || client?.google_sheet_id}\n`;
                 fs.appendFileSync('debug_auth.txt', logMessage);
                 console.log(logMessage.trim());
             } catch (err) {
                 console.error("Failed to write to debug_auth.txt", err.message);
             }
 
-            if (!client || !client.google_authorized || !client.google_sheet_id) {
+            if (!client || !client.google_authorized) {
                 return res.status(400).json({
                     success: false,
                     error: 'Google Sheet not connected',
                 });
             }
 
-            const googleSheetsService = require('../services/googleSheetsService');
+            const extractionDestinationService = require('../services/extractionDestinationService');
+            const targets = await extractionDestinationService.listTargets(client);
 
-            // Get all active fields to build headers
-            const allFields = await ExtractionField.find({
-                client_id: clientId,
-                is_active: true,
-            }).sort({ order: 1 });
+            if (targets.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Google Sheet not connected',
+                });
+            }
 
-            const headers = [
-                ...allFields.map(f => f.field_name),
-                'Call_Date',
-                'Call_Time',
-                'Execution_ID',
-                'Agent_Name',
-            ];
+            // Client sheet plus per-agent sheets/tabs; columns of every schema version,
+            // so rows of older calls still line up
+            const results = await extractionDestinationService.syncHeaders(client);
+            const failed = results.filter(result => result.error);
 
-            await googleSheetsService.createHeaders(client, client.google_sheet_id, headers);
+            if (failed.length === results.length) {
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to sync headers',
+                    details: failed[0].error,
+                });
+            }
 
             res.json({
                 success: true,
-                message: 'Google Sheet headers updated successfully',
+                message: failed.length > 0
+                    ? `Headers updated for ${results.length - failed.length} of ${results.length} sheets`
+                    : 'Google Sheet headers updated successfully',
+                sheets: results,
             });
         } catch (error) {
             console.error('Error syncing headers:', error);
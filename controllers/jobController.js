@@ -0,0 +1,50 @@
+const JobRun = require('../models/JobRun');
+const JobLock = require('../models/JobLock');
+
+// Get background job run history
+exports.getJobRuns = async (req, res) => {
+    try {
+        const { job, outcome } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        const query = {};
+        if (job) query.job_name = job;
+        if (outcome) query.outcome = outcome;
+
+        const runs = await JobRun.find(query)
+            .sort({ started_at: -1 })
+            .limit(limit)
+            .select('-__v');
+
+        res.json({
+            success: true,
+            count: runs.length,
+            runs,
+        });
+    } catch (error) {
+        console.error('Get job runs error:', error);
+        res.status(500).json({ error: 'Failed to fetch job runs' });
+    }
+};
+
+// Get current lease state of each background job
+exports.getJobLocks = async (req, res) => {
+    try {
+        const now = new Date();
+        const locks = await JobLock.find().sort({ name: 1 });
+
+        res.json({
+            success: true,
+            locks: locks.map(lock => ({
+                name: lock.name,
+                owner: lock.owner,
+                locked_until: lock.locked_until,
+                acquired_at: lock.acquired_at,
+                is_held: !!lock.locked_until && lock.locked_until > now,
+            })),
+        });
+    } catch (error) {
+        console.error('Get job locks error:', error);
+        res.status(500).json({ error: 'Failed to fetch job locks' });
+    }
+};
@@ -0,0 +1,182 @@
+const Execution = require('../models/Execution');
+const Agent = require('../models/Agent');
+const reviewService = require('../services/reviewService');
+const extractionSchemaService = require('../services/extractionSchemaService');
+
+// Get executions whose extracted data needs (or had) a human review
+exports.getReviewQueue = async (req, res) => {
+    try {
+        const { agentId, from, to, field } = req.query;
+        const status = req.query.status || 'needs_review';
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        if (!['needs_review', 'reviewed', 'all'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be needs_review, reviewed or all' });
+        }
+
+        // Get all agent IDs owned by this client
+        const clientAgents = await Agent.find({ client_id: req.clientId }).select('_id');
+        const agentIds = clientAgents.map(agent => agent._id);
+
+        if (agentIds.length === 0) {
+            return res.json({ success: true, total: 0, count: 0, executions: [] });
+        }
+
+        const query = {
+            agent_id: { $in: agentIds },
+            review_status: status === 'all' ? { $in: ['needs_review', 'reviewed'] } : status,
+        };
+
+        if (agentId) {
+            // Verify this agent belongs to the client
+            if (!agentIds.some(id => id.toString() === agentId)) {
+                return res.status(403).json({ error: 'Unauthorized access to agent' });
+            }
+            query.agent_id = agentId;
+        }
+
+        // Only executions where this field is uncertain or a missing required value
+        if (field) {
+            query.$or = [
+                { 'extracted_data.low_confidence_fields': field },
+                { 'extracted_data.missing_required': field },
+            ];
+        }
+
+        if (from || to) {
+            query.started_at = {};
+            if (from) query.started_at.$gte = new Date(from);
+            if (to) query.started_at.$lte = new Date(to);
+        }
+
+        const [total, executions] = await Promise.all([
+            Execution.countDocuments(query),
+            Execution.find(query)
+                .populate('agent_id', 'name bolna_agent_id')
+                .sort({ started_at: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('bolna_execution_id agent_id started_at status extracted_data review_status reviewed_at reviewed_by'),
+        ]);
+
+        res.json({
+            success: true,
+            total,
+            count: executions.length,
+            page,
+            executions: executions.map(execution => ({
+                _id: execution._id,
+                bolna_execution_id: execution.bolna_execution_id,
+                agent: execution.agent_id,
+                started_at: execution.started_at,
+                status: execution.status,
+                review_status: execution.review_status,
+                reviewed_at: execution.reviewed_at,
+                reviewed_by: execution.reviewed_by,
+                custom_fields: execution.extracted_data?.custom_fields || {},
+                field_details: execution.extracted_data?.field_details || {},
+                low_confidence_fields: execution.extracted_data?.low_confidence_fields || [],
+                missing_required: execution.extracted_data?.missing_required || [],
+            })),
+        });
+    } catch (error) {
+        console.error('Get review queue error:', error);
+        res.status(500).json({ error: 'Failed to fetch review queue' });
+    }
+};
+
+// Submit corrected values for an execution (an empty corrections object approves it as is)
+exports.submitCorrections = async (req, res) => {
+    try {
+        const { executionId } = req.params;
+        const { corrections = {}, reviewer, note } = req.body;
+
+        const execution = await Execution.findById(executionId);
+
+        if (!execution) {
+            return res.status(404).json({ error: 'Execution not found' });
+        }
+
+        // Verify client owns this execution's agent
+        const agent = await Agent.findOne({ _id: execution.agent_id, client_id: req.clientId });
+        if (!agent) {
+            return res.status(403).json({ error: 'Unauthorized access' });
+        }
+
+        if (!execution.extracted_data?.custom_fields) {
+            return res.status(400).json({ error: 'Execution has no extracted data to review' });
+        }
+
+        if (reviewer !== undefined && (typeof reviewer !== 'string' || reviewer.length > 100)) {
+            return res.status(400).json({ error: 'Reviewer must be a name of at most 100 characters' });
+        }
+
+        const extractionFields = await extractionSchemaService.getFieldsForAgent(req.clientId, agent._id);
+
+        const normalized = reviewService.normalizeCorrections(extractionFields, corrections);
+        if (normalized.error) {
+            return res.status(400).json({ error: normalized.error });
+        }
+
+        const result = await reviewService.applyCorrections(
+            execution,
+            agent,
+            req.client,
+            extractionFields,
+            normalized.values,
+            { reviewer: reviewer && reviewer.trim(), note: typeof note === 'string' ? note.slice(0, 1000) : undefined }
+        );
+
+        res.json({
+            success: true,
+            message: result.corrected_fields.length > 0
+                ? `Corrected ${result.corrected_fields.length} field(s)`
+                : 'Extraction approved without changes',
+            corrected_fields: result.corrected_fields,
+            sheet: result.sheet,
+            execution: {
+                _id: execution._id,
+                review_status: execution.review_status,
+                reviewed_at: execution.reviewed_at,
+                reviewed_by: execution.reviewed_by,
+                custom_fields: execution.extracted_data.custom_fields,
+                field_details: execution.extracted_data.field_details,
+            },
+        });
+    } catch (error) {
+        console.error('Submit corrections error:', error);
+        res.status(500).json({ error: 'Failed to save corrections' });
+    }
+};
+
+// Get the AI output and every correction made to an execution's extracted data
+exports.getExtractionHistory = async (req, res) => {
+    try {
+        const { executionId } = req.params;
+
+        const execution = await Execution.findById(executionId)
+            .select('agent_id bolna_execution_id review_status extraction_history');
+
+        if (!execution) {
+            return res.status(404).json({ error: 'Execution not found' });
+        }
+
+        // Verify client owns this execution's agent
+        const agent = await Agent.findOne({ _id: execution.agent_id, client_id: req.clientId }).select('_id');
+        if (!agent) {
+            return res.status(403).json({ error: 'Unauthorized access' });
+        }
+
+        res.json({
+            success: true,
+            execution_id: execution._id,
+            bolna_execution_id: execution.bolna_execution_id,
+            review_status: execution.review_status,
+            history: execution.extraction_history,
+        });
+    } catch (error) {
+        console.error('Get extraction history error:', error);
+        res.status(500).json({ error: 'Failed to fetch extraction history' });
+    }
+};
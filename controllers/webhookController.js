@@ -0,0 +1,56 @@
+const Agent = require('../models/Agent');
+const Execution = require('../models/Execution');
+const bolnaService = require('../services/bolnaService');
+
+// An event is a redelivery if we already stored this execution in the same state
+const isDuplicateEvent = (existing, payload) => {
+    if (!existing) return false;
+
+    const sameStatus = existing.status === (payload.status || 'pending');
+    // Status-only events carry no transcript
+    const sameTranscript = !payload.transcript || existing.transcript === payload.transcript;
+    const payloadUpdatedAt = payload.updated_at ? new Date(payload.updated_at).getTime() : null;
+    const sameUpdatedAt = !payloadUpdatedAt
+        || (existing.ended_at && existing.ended_at.getTime() === payloadUpdatedAt);
+
+    return sameStatus && sameTranscript && sameUpdatedAt;
+};
+
+// Receive execution status / transcript events pushed by AItelz
+exports.handleExecutionEvent = async (req, res) => {
+    try {
+        const payload = req.body || {};
+        const executionId = payload.id || payload.execution_id;
+        const bolnaAgentId = payload.agent_id;
+
+        if (!executionId || !bolnaAgentId) {
+            return res.status(400).json({ error: 'Execution id and agent_id are required' });
+        }
+
+        const agent = await Agent.findOne({ bolna_agent_id: bolnaAgentId });
+        if (!agent) {
+            // Acknowledge so the sender does not keep retrying events for agents we don't track
+            console.warn(`⚠️  Webhook for unknown AItelz agent ${bolnaAgentId}, ignoring`);
+            return res.status(202).json({ success: true, ignored: true });
+        }
+
+        const existing = await Execution.findOne({ bolna_execution_id: executionId })
+            .select('status transcript ended_at');
+
+        if (isDuplicateEvent(existing, payload)) {
+            return res.json({ success: true, duplicate: true });
+        }
+
+        // upsertExecution is keyed on bolna_execution_id and hands transcripts to extraction
+        const execution = await bolnaService.upsertExecution(agent._id, payload);
+
+        res.json({
+            success: true,
+            execution_id: execution?.bolna_execution_id || executionId,
+            status: execution?.status,
+        });
+    } catch (error) {
+        console.error('Execution webhook error:', error);
+        res.status(500).json({ error: 'Failed to process execution event' });
+    }
+};
@@ -18,7 +18,8 @@ exports.createWidget = async (req, res) => {
         const {
             agent_id, name, theme_color, text_color, bg_color,
             button_text, modal_title, modal_subtitle, success_message,
-            position, border_radius, allowed_domains
+            position, border_radius, allowed_domains,
+            collect_name, collect_context, context_label
         } = req.body;
 
         // Verify the agent belongs to the client
@@ -40,7 +41,10 @@ exports.createWidget = async (req, res) => {
             success_message,
             position,
             border_radius,
-            allowed_domains
+            allowed_domains,
+            collect_name,
+            collect_context,
+            context_label
         });
 
         await widget.save();
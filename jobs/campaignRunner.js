@@ -1,25 +1,34 @@
 const campaignService = require('../services/campaignService');
+const jobLockService = require('../services/jobLockService');
+
+const JOB_NAME = 'campaign-runner';
 
 let pollingInterval = null;
 
+// Dial new rows and sync statuses, on only one instance at a time.
+// Ticks are short: pacing limits how many calls each tick may start.
+const runCampaignTick = async () => {
+    try {
+        await jobLockService.runExclusive(JOB_NAME, { ttlMs: 5 * 60 * 1000 }, async (signal) => {
+            const dialed = await campaignService.processActiveCampaigns(signal);
+            if (!signal.aborted) {
+                await campaignService.syncCampaignStatuses(signal);
+            }
+            return { dialed };
+        });
+    } catch (error) {
+        console.error('❌ Error in background campaign runner:', error);
+    }
+};
+
 const startCampaignRunner = () => {
     console.log('🏁 Starting Outbound Campaign background runner...');
 
     // First run after 30 seconds
-    setTimeout(async () => {
-        await campaignService.processActiveCampaigns();
-        await campaignService.syncCampaignStatuses();
-    }, 30 * 1000);
-
-    // Keep running every 2 minutes
-    pollingInterval = setInterval(async () => {
-        try {
-            await campaignService.processActiveCampaigns();
-            await campaignService.syncCampaignStatuses();
-        } catch (error) {
-            console.error('❌ Error in background campaign runner:', error);
-        }
-    }, 2 * 60 * 1000);
+    setTimeout(runCampaignTick, 30 * 1000);
+
+    // Keep running every few seconds (CAMPAIGN_RUNNER_INTERVAL_SECONDS)
+    pollingInterval = setInterval(runCampaignTick, campaignService.tickSeconds * 1000);
 };
 
 const stopCampaignRunner = () => {
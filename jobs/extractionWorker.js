@@ -0,0 +1,43 @@
+const extractionQueueService = require('../services/extractionQueueService');
+
+let pollingInterval = null;
+let polling = false;
+
+// Claim due extraction jobs; jobs run in the background on the service's pool
+const pollExtractionJobs = async () => {
+    if (polling) return;
+    polling = true;
+
+    try {
+        const claimed = await extractionQueueService.processDueJobs();
+        if (claimed > 0) {
+            console.log(`🤖 Extraction worker claimed ${claimed} job(s)`);
+        }
+    } catch (error) {
+        console.error('❌ Error in extraction worker:', error);
+    } finally {
+        polling = false;
+    }
+};
+
+const startExtractionWorker = () => {
+    const intervalSeconds = parseInt(process.env.EXTRACTION_WORKER_POLL_SECONDS) || 10;
+
+    pollingInterval = setInterval(pollExtractionJobs, intervalSeconds * 1000);
+
+    console.log(`✅ Extraction worker started (polls every ${intervalSeconds}s)`);
+};
+
+const stopExtractionWorker = async () => {
+    if (pollingInterval) {
+        clearInterval(pollingInterval);
+        pollingInterval = null;
+        await extractionQueueService.drain();
+        console.log('🛑 Stopped extraction worker');
+    }
+};
+
+module.exports = {
+    startExtractionWorker,
+    stopExtractionWorker
+};
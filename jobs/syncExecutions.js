@@ -1,20 +1,40 @@
 const cron = require('node-cron');
 const bolnaService = require('../services/bolnaService');
+const jobLockService = require('../services/jobLockService');
+
+const JOB_NAME = 'execution-sync';
+
+// With the execution webhook configured, polling is only a slow reconciliation sweep
+// for events that were missed. Without it, keep polling every minute.
+const getSyncSchedule = () => {
+    if (process.env.EXECUTION_SYNC_CRON) {
+        return process.env.EXECUTION_SYNC_CRON;
+    }
+    return process.env.BOLNA_WEBHOOK_SECRET ? '*/30 * * * *' : '* * * * *';
+};
 
-// Sync executions every hour
 const startExecutionSync = () => {
-    // Run every hour: '0 * * * *'
-    // For testing, run every 5 minutes: '*/5 * * * *'
-    cron.schedule('* * * * *', async () => {
+    const schedule = getSyncSchedule();
+
+    if (!cron.validate(schedule)) {
+        console.error(`❌ Invalid EXECUTION_SYNC_CRON "${schedule}". Execution sync not started.`);
+        return;
+    }
+
+    cron.schedule(schedule, async () => {
         console.log('⏰ Starting scheduled execution sync...');
         try {
-            await bolnaService.syncAllExecutions();
+            // Lease covers a slow sweep; it is renewed while the sync is still running
+            await jobLockService.runExclusive(JOB_NAME, { ttlMs: 5 * 60 * 1000 }, async (signal) => {
+                const synced = await bolnaService.syncAllExecutions({ signal });
+                return { synced };
+            });
         } catch (error) {
             console.error('Scheduled sync failed:', error);
         }
     });
 
-    console.log('✅ Execution sync cron job started (runs every hour)');
+    console.log(`✅ Execution sync cron job started (${schedule})`);
 };
 
 module.exports = { startExecutionSync };
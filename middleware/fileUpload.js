@@ -0,0 +1,27 @@
+const multer = require('multer');
+
+// Single-file multipart upload kept in memory (req.file.buffer), with upload errors
+// returned as 400 JSON instead of reaching the global error handler.
+const createFileUpload = ({ field = 'file', maxBytes }) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: 1 },
+    }).single(field);
+
+    return (req, res, next) => {
+        upload(req, res, (error) => {
+            if (!error) return next();
+
+            if (error instanceof multer.MulterError) {
+                const message = error.code === 'LIMIT_FILE_SIZE'
+                    ? `File is too large (max ${Math.round(maxBytes / (1024 * 1024))} MB)`
+                    : error.message;
+                return res.status(400).json({ error: message });
+            }
+
+            next(error);
+        });
+    };
+};
+
+module.exports = createFileUpload;
@@ -0,0 +1,35 @@
+// In-memory fixed-window rate limiter, keyed by the authenticated client (or IP when anonymous).
+// Must be mounted after the auth middleware to limit per client.
+const createRateLimiter = ({ windowMs, max, message = 'Too many requests, please try again later' }) => {
+    const hits = new Map();
+
+    return (req, res, next) => {
+        const key = req.clientId ? req.clientId.toString() : req.ip;
+        const now = Date.now();
+
+        // Drop expired windows so the map doesn't grow without bound
+        if (hits.size > 1000) {
+            for (const [k, entry] of hits) {
+                if (entry.resetAt <= now) hits.delete(k);
+            }
+        }
+
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+
+        entry.count++;
+
+        if (entry.count > max) {
+            const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: message, retry_after: retryAfter });
+        }
+
+        next();
+    };
+};
+
+module.exports = createRateLimiter;
@@ -0,0 +1,16 @@
+// Restricts a route to platform operators: clients whose email is listed in ADMIN_EMAILS
+// (comma-separated). Must run after authMiddleware. With no admins configured, the route is closed.
+const requireAdmin = (req, res, next) => {
+    const admins = (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+
+    if (!req.client || !admins.includes(req.client.email)) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    next();
+};
+
+module.exports = requireAdmin;
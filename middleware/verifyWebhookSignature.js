@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// Verifies the HMAC-SHA256 signature of an inbound webhook against the raw request body.
+// The sender signs the exact bytes it posts with BOLNA_WEBHOOK_SECRET and sends the hex
+// digest in the X-Webhook-Signature header (optionally prefixed with "sha256=").
+const verifyWebhookSignature = (req, res, next) => {
+    const secret = process.env.BOLNA_WEBHOOK_SECRET;
+
+    if (!secret) {
+        console.error('❌ BOLNA_WEBHOOK_SECRET not set. Rejecting webhook.');
+        return res.status(503).json({ error: 'Webhook receiver not configured' });
+    }
+
+    const header = req.header('X-Webhook-Signature') || '';
+    const signature = header.replace(/^sha256=/i, '').trim();
+
+    if (!signature || !req.rawBody) {
+        return res.status(401).json({ error: 'Missing webhook signature' });
+    }
+
+    const expected = crypto
+        .createHmac('sha256', secret)
+        .update(req.rawBody)
+        .digest('hex');
+
+    const received = Buffer.from(signature, 'hex');
+    const computed = Buffer.from(expected, 'hex');
+
+    if (received.length !== computed.length || !crypto.timingSafeEqual(received, computed)) {
+        return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    next();
+};
+
+module.exports = verifyWebhookSignature;
@@ -25,6 +25,25 @@ const agentSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.Mixed,
         default: {},
     },
+    // Where this agent's extracted data is written; falls back to the client's sheet
+    extraction_sheet_id: {
+        type: String,
+        default: null,
+    },
+    // Tab within the spreadsheet (created on header sync); null means the first sheet
+    extraction_sheet_tab: {
+        type: String,
+        default: null,
+    },
+    // Incremental execution sync position
+    sync_cursor: {
+        // Newest execution seen on the last sync
+        last_created_at: { type: Date, default: null },
+        last_execution_id: { type: String, default: null },
+        // Every execution created before this is stored locally in a terminal state
+        settled_before: { type: Date, default: null },
+        last_synced_at: { type: Date, default: null },
+    },
 }, {
     timestamps: true,
 });
@@ -15,18 +15,43 @@ const campaignSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    // Where contacts come from: a Google Sheet, or an uploaded CSV/Excel file
+    source: {
+        type: String,
+        enum: ['google_sheet', 'upload'],
+        default: 'google_sheet',
+    },
     google_sheet_id: {
         type: String,
-        required: true,
+        required: function () { return this.source !== 'upload'; },
     },
     google_sheet_url: {
         type: String,
-        required: true,
+        required: function () { return this.source !== 'upload'; },
     },
     phone_column_name: {
         type: String,
         required: true,
     },
+    // Optional column holding the contact's name (sent to the agent as the "name" variable)
+    name_column_name: {
+        type: String,
+        default: null,
+    },
+    // Columns forwarded to the agent as call variables (user_data), e.g. Appointment Date -> appointment_date
+    variable_mapping: [{
+        _id: false,
+        column: { type: String, required: true },
+        variable: { type: String, required: true },
+    }],
+    // Uploaded contact files (source: upload)
+    uploads: [{
+        file_name: String,
+        headers: [String],
+        row_count: Number,
+        added: Number,
+        uploaded_at: { type: Date, default: Date.now },
+    }],
     execution_column_name: {
         type: String,
         default: 'executions', // The column where we write back status
@@ -48,6 +73,39 @@ const campaignSchema = new mongoose.Schema({
         type: Number,
         default: 3, // Default 3 retries
     },
+    // Retries of unsuccessful calls, scheduled by us (not the provider). Per outcome: whether it's
+    // retried, how many retries a contact may get and the delay before the first one
+    // (null = max_retries / retry_interval_minutes). Exponential backoff doubles the delay per retry.
+    retry_policy: {
+        backoff: {
+            type: String,
+            enum: ['fixed', 'exponential'],
+            default: 'fixed',
+        },
+        max_delay_minutes: { type: Number, default: 24 * 60 },
+        outcomes: {
+            no_answer: {
+                enabled: { type: Boolean, default: true },
+                max_retries: { type: Number, default: null },
+                delay_minutes: { type: Number, default: null },
+            },
+            busy: {
+                enabled: { type: Boolean, default: true },
+                max_retries: { type: Number, default: null },
+                delay_minutes: { type: Number, default: null },
+            },
+            failed: {
+                enabled: { type: Boolean, default: true },
+                max_retries: { type: Number, default: null },
+                delay_minutes: { type: Number, default: null },
+            },
+            voicemail: {
+                enabled: { type: Boolean, default: true },
+                max_retries: { type: Number, default: null },
+                delay_minutes: { type: Number, default: null },
+            },
+        },
+    },
     last_run_at: {
         type: Date,
         default: null,
@@ -64,18 +122,116 @@ const campaignSchema = new mongoose.Schema({
         type: Number,
         default: 0,
     },
+    // Contacts skipped because they're on the Do-Not-Call list
+    suppressed_records: {
+        type: Number,
+        default: 0,
+    },
+    // Contacts skipped because their number was already called (in this or another campaign)
+    duplicate_records: {
+        type: Number,
+        default: 0,
+    },
     scheduled_at: {
         type: Date,
         default: Date.now,
     },
+    // Set on campaigns whose scheduled_at is a real instant. Older campaigns stored IST wall-clock
+    // time as UTC until scripts/migrateScheduledAt.js converts them (no default, so saving an old
+    // campaign doesn't mark it)
+    scheduled_at_migrated: {
+        type: Boolean,
+    },
+    // IANA zone the calling windows, blackout dates and scheduled_at input are expressed in
+    timezone: {
+        type: String,
+        default: 'Asia/Kolkata',
+    },
+    // Daily window, used when no weekly calling windows are set
     active_hours: {
         start: { type: String, default: '00:00' },
         end: { type: String, default: '23:59' }
     },
+    // Weekly calling windows; an end before the start runs past midnight
+    calling_windows: [{
+        _id: false,
+        days: [Number], // 0 = Sunday ... 6 = Saturday
+        start: String, // HH:MM
+        end: String,
+    }],
+    // Local dates (YYYY-MM-DD) with no calls, e.g. public holidays
+    blackout_dates: {
+        type: [String],
+        default: [],
+    },
+    // Whose clock the windows apply to: the campaign's zone, or each contact's own
+    // (from a sheet column holding an IANA zone, or from the phone number's country code)
+    contact_timezone: {
+        mode: {
+            type: String,
+            enum: ['campaign', 'column', 'phone_prefix'],
+            default: 'campaign',
+        },
+        column: { type: String, default: null },
+    },
     dial_delay: {
         type: Number,
         default: 0, // seconds between calls
     },
+    // Pacing: live calls at once and calls started per minute (null = no limit)
+    max_concurrent_calls: {
+        type: Number,
+        default: 5,
+    },
+    calls_per_minute: {
+        type: Number,
+        default: null,
+    },
+    last_dialed_at: {
+        type: Date,
+        default: null,
+    },
+    // Sheet import: contacts live in CampaignContact, the sheet mirrors their status
+    sheet_tab: {
+        type: String,
+        default: null, // First tab of the spreadsheet, resolved on first import
+    },
+    sheet_columns: {
+        status: { type: String, default: null }, // Column letters of the write-back columns
+        retries: { type: String, default: null },
+    },
+    last_imported_at: {
+        type: Date,
+        default: null,
+    },
+    import_error: {
+        type: String,
+        default: null,
+    },
+    // End conditions: the campaign completes itself once any of them is met (false/null = not used)
+    end_conditions: {
+        all_contacts_done: { type: Boolean, default: false }, // no contact left to call or waiting on a call
+        end_at: { type: Date, default: null },
+        max_calls: { type: Number, default: null }, // calls started by the campaign
+        max_cost: { type: Number, default: null }, // total cost of its calls, in execution cost units
+    },
+    calls_started: {
+        type: Number,
+        default: 0,
+    },
+    total_cost: {
+        type: Number,
+        default: 0,
+    },
+    completed_at: {
+        type: Date,
+        default: null,
+    },
+    completed_reason: {
+        type: String,
+        enum: ['all_contacts_done', 'end_date', 'max_calls', 'budget', 'manual', null],
+        default: null,
+    },
 }, {
     timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
 });
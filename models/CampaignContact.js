@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// One number to dial in a campaign: the source of truth for its dial state.
+// Imported from the campaign sheet; the sheet's status/retries columns only mirror it.
+const campaignContactSchema = new mongoose.Schema({
+    campaign_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign',
+        required: true,
+    },
+    client_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Client',
+        required: true,
+    },
+    // Hash of the row's own cells (not our write-back columns), so re-imports only add new rows
+    // (and uploading the same file twice adds nothing)
+    fingerprint: {
+        type: String,
+        required: true,
+    },
+    // 1-based sheet row the contact was last seen at (null once it's gone from the sheet).
+    // For uploaded files, its position across all uploads, which sets the dial order.
+    row_number: {
+        type: Number,
+        default: null,
+    },
+    // Row values by header, as imported
+    row_data: {
+        type: Object,
+        default: {},
+    },
+    raw_phone: {
+        type: String,
+        default: null,
+    },
+    phone: {
+        type: String,
+        default: null,
+    },
+    // From the campaign's name column and variable mapping (variable name -> value)
+    name: {
+        type: String,
+        default: null,
+    },
+    variables: {
+        type: Object,
+        default: {},
+    },
+    // Zones the windows are checked in (all must be open); empty = the campaign's zone
+    timezones: {
+        type: [String],
+        default: [],
+    },
+    // pending -> dialing -> in_progress -> completed | failed, or back to pending for a retry
+    // invalid: no usable phone number, removed: deleted from the sheet before it was dialed,
+    // suppressed: on the client's Do-Not-Call list when it was due,
+    // duplicate: its number was already called (see duplicate_of)
+    status: {
+        type: String,
+        enum: ['pending', 'dialing', 'in_progress', 'completed', 'failed', 'invalid', 'removed', 'suppressed', 'duplicate'],
+        default: 'pending',
+    },
+    // Contact the number was called for instead: in the same campaign, or in another campaign
+    // of the client within its duplicate cooldown
+    duplicate_of: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CampaignContact',
+        default: null,
+    },
+    duplicate_reason: {
+        type: String,
+        enum: ['campaign', 'cooldown', null],
+        default: null,
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    last_attempt_at: {
+        type: Date,
+        default: null,
+    },
+    last_error: {
+        type: String,
+        default: null,
+    },
+    // AItelz executions of this contact, oldest first
+    execution_ids: {
+        type: [String],
+        default: [],
+    },
+    // Status of the latest execution, and how many retries the contact has had
+    outcome: {
+        type: String,
+        default: null,
+    },
+    retry_attempt: {
+        type: Number,
+        default: 0,
+    },
+    // When a retry is due (pending contacts are dialed once it has passed and a calling window is open)
+    next_attempt_at: {
+        type: Date,
+        default: null,
+    },
+    // Status text shown in the sheet, and whether it still has to be written back
+    sheet_status: {
+        type: String,
+        default: null,
+    },
+    sheet_dirty: {
+        type: Boolean,
+        default: false,
+    },
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+campaignContactSchema.index({ campaign_id: 1, fingerprint: 1 }, { unique: true });
+campaignContactSchema.index({ campaign_id: 1, status: 1, row_number: 1 });
+campaignContactSchema.index({ campaign_id: 1, sheet_dirty: 1 });
+campaignContactSchema.index({ execution_ids: 1 });
+campaignContactSchema.index({ client_id: 1, status: 1 });
+campaignContactSchema.index({ campaign_id: 1, last_attempt_at: -1 });
+campaignContactSchema.index({ campaign_id: 1, phone: 1 });
+campaignContactSchema.index({ client_id: 1, phone: 1, last_attempt_at: -1 });
+
+module.exports = mongoose.model('CampaignContact', campaignContactSchema);
@@ -66,6 +66,36 @@ const clientSchema = new mongoose.Schema({
         type: String,
         default: null,
     },
+    // LLM used for transcript extraction (defaults to OpenAI with openai_api_key)
+    llm_provider: {
+        type: {
+            type: String,
+            enum: ['openai', 'azure', 'openai_compatible'],
+            default: 'openai',
+        },
+        base_url: { type: String, default: null },
+        model: { type: String, default: null }, // Deployment name for Azure
+        api_version: { type: String, default: null }, // Azure only
+        api_key: { type: String, default: null }, // Encrypted
+    },
+    // Outbound campaign limits across all of the client's campaigns
+    campaign_settings: {
+        // null = server default (CAMPAIGN_CLIENT_MAX_CONCURRENT_CALLS)
+        max_concurrent_calls: { type: Number, default: null },
+        // Hours after a campaign calls a number during which other campaigns skip it (null = no cooldown)
+        duplicate_cooldown_hours: { type: Number, default: null },
+    },
+    // Call-level analysis (summary, sentiment, disposition) run alongside extraction
+    analysis_settings: {
+        enabled: { type: Boolean, default: true },
+        // Dispositions the model chooses from
+        disposition_labels: {
+            type: [String],
+            default: ['interested', 'not_interested', 'callback', 'wrong_number', 'do_not_call', 'voicemail', 'no_response'],
+        },
+        // Disposition that adds the called number to the Do-Not-Call list (null = never)
+        dnc_disposition: { type: String, default: 'do_not_call' },
+    },
 }, {
     timestamps: true, // Automatically adds createdAt and updatedAt
 });
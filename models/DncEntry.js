@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A number a client must not call (it opted out). Checked before every outbound call.
+const dncEntrySchema = new mongoose.Schema({
+    client_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Client',
+        required: true,
+    },
+    // E.164, as dialed
+    phone: {
+        type: String,
+        required: true,
+    },
+    // Added by hand, from a CSV/Excel file, through the API, or from a call's disposition
+    source: {
+        type: String,
+        enum: ['manual', 'import', 'api', 'disposition'],
+        default: 'manual',
+    },
+    reason: {
+        type: String,
+        default: null,
+    },
+    // AItelz execution whose disposition added the number (source: disposition)
+    execution_id: {
+        type: String,
+        default: null,
+    },
+    // Calls the entry has blocked
+    suppressed_count: {
+        type: Number,
+        default: 0,
+    },
+    last_suppressed_at: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+dncEntrySchema.index({ client_id: 1, phone: 1 }, { unique: true });
+dncEntrySchema.index({ client_id: 1, created_at: -1 });
+
+module.exports = mongoose.model('DncEntry', dncEntrySchema);
@@ -39,6 +39,89 @@ const executionSchema = new mongoose.Schema({
         default: {},
     },
 
+    // Outcome of the last transcript extraction attempt
+    extraction_state: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed', 'skipped_no_key', 'skipped_no_fields', null],
+        default: null,
+    },
+    extraction_error: {
+        type: String,
+        default: null,
+    },
+    extraction_attempted_at: {
+        type: Date,
+        default: null,
+    },
+
+    // Mirror of the durable extraction job for this execution
+    extraction_queue: {
+        status: {
+            type: String,
+            enum: ['queued', 'processing', 'succeeded', 'dead', null],
+            default: null,
+        },
+        attempts: { type: Number, default: 0 },
+        last_error: { type: String, default: null },
+        next_run_at: { type: Date, default: null },
+        updated_at: { type: Date, default: null },
+    },
+
+    // Client extraction schema version the data was extracted with
+    extraction_schema_version: {
+        type: Number,
+        default: null,
+    },
+
+    // Call-level analysis of the transcript
+    analysis: {
+        summary: { type: String, default: null },
+        sentiment: {
+            type: String,
+            enum: ['positive', 'neutral', 'negative', null],
+            default: null,
+        },
+        // One of the client's disposition labels
+        disposition: { type: String, default: null },
+        analyzed_at: { type: Date, default: null },
+        error: { type: String, default: null },
+    },
+
+    // Human review of the extracted data
+    review_status: {
+        type: String,
+        enum: ['needs_review', 'reviewed', null],
+        default: null,
+    },
+    reviewed_at: {
+        type: Date,
+        default: null,
+    },
+    reviewed_by: {
+        client_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Client', default: null },
+        name: { type: String, default: null },
+        email: { type: String, default: null },
+    },
+
+    // Every version of the extracted values, AI output and reviewer corrections, oldest first
+    extraction_history: [{
+        source: {
+            type: String,
+            enum: ['ai', 'review'],
+            required: true,
+        },
+        custom_fields: mongoose.Schema.Types.Mixed,
+        field_details: mongoose.Schema.Types.Mixed,
+        corrected_fields: [String],
+        reviewer: {
+            client_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Client' },
+            name: String,
+            email: String,
+        },
+        note: String,
+        recorded_at: { type: Date, default: Date.now },
+    }],
+
     // Conversation transcript
     transcript: {
         type: String,
@@ -70,12 +153,23 @@ const executionSchema = new mongoose.Schema({
         type: Number,
         default: 0,
     },
+    // Variables sent with the call (campaign columns, widget name/context)
+    call_variables: {
+        type: Object,
+        default: null,
+    },
     // Source of the call
     source: {
         type: String,
         enum: ['api', 'dashboard', 'widget', 'campaign'],
         default: 'api',
     },
+    // Campaign that placed the call (source: campaign)
+    campaign_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign',
+        default: null,
+    },
 }, {
     timestamps: true, // createdAt and updatedAt
 });
@@ -86,9 +180,14 @@ executionSchema.index({ bolna_execution_id: 1 });
 executionSchema.index({ status: 1 });
 executionSchema.index({ started_at: -1 }); // Most recent first
 executionSchema.index({ createdAt: -1 }); // Most recent first
+executionSchema.index({ agent_id: 1, extraction_state: 1 });
+executionSchema.index({ agent_id: 1, review_status: 1, started_at: -1 });
+executionSchema.index({ agent_id: 1, 'analysis.disposition': 1 });
+executionSchema.index({ agent_id: 1, 'analysis.sentiment': 1 });
 
 // Compound index for filtering by agent and date
 executionSchema.index({ agent_id: 1, started_at: -1 });
+executionSchema.index({ campaign_id: 1 });
 
 const Execution = mongoose.model('Execution', executionSchema);
 
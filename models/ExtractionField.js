@@ -24,6 +24,45 @@ const extractionFieldSchema = new mongoose.Schema({
         maxlength: 500,
     },
 
+    // Expected type of the extracted value, used for prompting and normalization
+    field_type: {
+        type: String,
+        enum: ['string', 'number', 'boolean', 'date', 'enum', 'phone', 'email'],
+        default: 'string',
+    },
+
+    // Allowed values for enum fields
+    allowed_values: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: function(v) {
+                return this.field_type !== 'enum' || (Array.isArray(v) && v.length > 0);
+            },
+            message: 'Enum fields need at least one allowed value'
+        }
+    },
+
+    // Whether a value is expected in every call (missing values are flagged)
+    required: {
+        type: Boolean,
+        default: false,
+    },
+
+    // How values from multiple transcript chunks are combined for long calls:
+    // first_confident keeps the earliest value found, latest the last one, concat joins distinct values
+    merge_strategy: {
+        type: String,
+        enum: ['first_confident', 'latest', 'concat'],
+        default: 'first_confident',
+    },
+
+    // Agents this field is extracted for; empty means every agent of the client
+    agent_ids: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Agent',
+    }],
+
     // User who owns this field
     client_id: {
         type: mongoose.Schema.Types.ObjectId,
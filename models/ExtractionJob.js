@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Durable unit of work: run transcript extraction (and sheet sync) for one execution
+const extractionJobSchema = new mongoose.Schema({
+    execution_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Execution',
+        required: true,
+        unique: true,
+    },
+    client_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Client',
+        required: true,
+    },
+    // queued -> processing -> succeeded, or back to queued with backoff until attempts run out (dead)
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'succeeded', 'dead'],
+        default: 'queued',
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    max_attempts: {
+        type: Number,
+        default: 5,
+    },
+    // Earliest time the job may be picked up (pushed back after each failure)
+    next_run_at: {
+        type: Date,
+        default: Date.now,
+    },
+    // Worker lease, so jobs abandoned by a crashed worker are picked up again
+    locked_by: {
+        type: String,
+        default: null,
+    },
+    locked_until: {
+        type: Date,
+        default: null,
+    },
+    // Run the AI again even if the execution already has extracted values
+    reextract: {
+        type: Boolean,
+        default: false,
+    },
+    last_error: {
+        type: String,
+        default: null,
+    },
+    completed_at: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+// Indexes for the worker's polling queries
+extractionJobSchema.index({ status: 1, next_run_at: 1 });
+extractionJobSchema.index({ status: 1, locked_until: 1 });
+extractionJobSchema.index({ client_id: 1, status: 1 });
+
+const ExtractionJob = mongoose.model('ExtractionJob', extractionJobSchema);
+
+module.exports = ExtractionJob;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a client's active extraction fields, taken after every change to the field set
+const extractionSchemaVersionSchema = new mongoose.Schema({
+    client_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Client',
+        required: true,
+    },
+    // Increments per client, starting at 1
+    version: {
+        type: Number,
+        required: true,
+    },
+    // Active fields at this version, in display order
+    fields: [{
+        _id: false,
+        field_id: { type: mongoose.Schema.Types.ObjectId, ref: 'ExtractionField' },
+        field_name: { type: String, required: true },
+        description: String,
+        field_type: String,
+        allowed_values: [String],
+        required: Boolean,
+        merge_strategy: String,
+        agent_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Agent' }],
+    }],
+    // What produced this version
+    change: {
+        type: String,
+        enum: ['initial', 'create', 'update', 'delete'],
+        required: true,
+    },
+    changed_field: {
+        type: String,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+extractionSchemaVersionSchema.index({ client_id: 1, version: -1 }, { unique: true });
+
+const ExtractionSchemaVersion = mongoose.model('ExtractionSchemaVersion', extractionSchemaVersionSchema);
+
+module.exports = ExtractionSchemaVersion;
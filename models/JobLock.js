@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Lease held by one server instance while it runs a background job
+const jobLockSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // Instance currently holding the lease (null when released)
+    owner: {
+        type: String,
+        default: null,
+    },
+    // The lease expires at this time unless renewed, so a crashed holder can't block the job forever
+    locked_until: {
+        type: Date,
+        default: null,
+    },
+    acquired_at: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+    job_name: {
+        type: String,
+        required: true,
+    },
+    // Server instance that ran the job
+    instance_id: {
+        type: String,
+        required: true,
+    },
+    started_at: {
+        type: Date,
+        default: Date.now,
+    },
+    ended_at: {
+        type: Date,
+        default: null,
+    },
+    // lost: the lease expired or was taken over while running, so the job stopped early
+    outcome: {
+        type: String,
+        enum: ['running', 'succeeded', 'failed', 'lost'],
+        default: 'running',
+    },
+    error: {
+        type: String,
+        default: null,
+    },
+    // Summary returned by the job (e.g. number of executions synced)
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    duration_ms: {
+        type: Number,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+// Indexes for faster queries
+jobRunSchema.index({ job_name: 1, started_at: -1 });
+jobRunSchema.index({ started_at: -1 });
+
+// Keep 30 days of run history
+jobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
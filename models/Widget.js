@@ -54,6 +54,19 @@ const widgetSchema = new mongoose.Schema({
         type: Number,
         default: 10
     },
+    // Optional fields shown in the call form, passed to the agent as call variables
+    collect_name: {
+        type: Boolean,
+        default: false
+    },
+    collect_context: {
+        type: Boolean,
+        default: false
+    },
+    context_label: {
+        type: String,
+        default: 'What would you like to talk about?'
+    },
     // Security Settings
     allowed_domains: {
         type: [String],
@@ -12,6 +12,9 @@ router.post('/', agentController.createAgent);
 router.put('/:agentId', agentController.updateAgent);
 router.delete('/:agentId', agentController.deleteAgent);
 
+// Per-agent Google Sheet / tab for extracted data
+router.put('/:agentId/extraction-destination', agentController.updateExtractionDestination);
+
 // Bolna Platform Specific Routes
 router.get('/:agentId/bolna-details', agentController.getBolnaAgentDetails);
 router.put('/:agentId/prompt', agentController.updateBolnaPrompt);
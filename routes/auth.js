@@ -19,4 +19,18 @@ router.post('/api-key', authMiddleware, authController.saveApiKey);
 router.get('/api-key/status', authMiddleware, authController.getApiKeyStatus);
 router.delete('/api-key', authMiddleware, authController.deleteApiKey);
 
+// LLM provider used for extraction
+router.get('/llm-provider', authMiddleware, authController.getLlmProvider);
+router.put('/llm-provider', authMiddleware, authController.saveLlmProvider);
+router.delete('/llm-provider', authMiddleware, authController.deleteLlmProvider);
+router.post('/llm-provider/test', authMiddleware, authController.testLlmProvider);
+
+// Call analysis settings (disposition labels)
+router.get('/analysis-settings', authMiddleware, authController.getAnalysisSettings);
+router.put('/analysis-settings', authMiddleware, authController.saveAnalysisSettings);
+
+// Limits across all outbound campaigns
+router.get('/campaign-settings', authMiddleware, authController.getCampaignSettings);
+router.put('/campaign-settings', authMiddleware, authController.saveCampaignSettings);
+
 module.exports = router;
@@ -2,6 +2,11 @@ const express = require('express');
 const router = express.Router();
 const campaignController = require('../controllers/campaignController');
 const authMiddleware = require('../middleware/auth');
+const createFileUpload = require('../middleware/fileUpload');
+const contactFileService = require('../services/contactFileService');
+
+// CSV/Excel contact files
+const contactUpload = createFileUpload({ maxBytes: contactFileService.maxFileBytes });
 
 // All routes require authentication
 router.use(authMiddleware);
@@ -9,7 +14,18 @@ router.use(authMiddleware);
 router.get('/', campaignController.getMyCampaigns);
 router.get('/:id', campaignController.getCampaignById);
 router.post('/', campaignController.createCampaign);
+router.post('/upload', contactUpload, campaignController.createUploadCampaign);
 router.put('/:id/status', campaignController.updateCampaignStatus);
+router.put('/:id/contact-columns', campaignController.updateContactColumns);
+router.put('/:id/pacing', campaignController.updateCampaignPacing);
+router.put('/:id/schedule', campaignController.updateCampaignSchedule);
+router.put('/:id/end-conditions', campaignController.updateEndConditions);
+router.put('/:id/retry-policy', campaignController.updateRetryPolicy);
+router.get('/:id/contacts', campaignController.getCampaignContacts);
+router.get('/:id/duplicates', campaignController.getCampaignDuplicates);
+router.post('/:id/import', campaignController.importCampaignContacts);
+router.post('/:id/contacts/upload', contactUpload, campaignController.uploadCampaignContacts);
+router.get('/:id/results', campaignController.downloadCampaignResults);
 router.delete('/:id', campaignController.deleteCampaign);
 
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const dncController = require('../controllers/dncController');
+const authMiddleware = require('../middleware/auth');
+const createFileUpload = require('../middleware/fileUpload');
+const contactFileService = require('../services/contactFileService');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// Do-Not-Call list of the authenticated client
+router.get('/', dncController.getEntries);
+router.get('/check', dncController.checkNumber);
+router.post('/', dncController.addEntries);
+router.post('/import', createFileUpload({ maxBytes: contactFileService.maxFileBytes }), dncController.importEntries);
+router.delete('/:id', dncController.removeEntry);
+
+module.exports = router;
@@ -1,8 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const executionController = require('../controllers/executionController');
-const bolnaService = require('../services/bolnaService');
 const authMiddleware = require('../middleware/auth');
+const createRateLimiter = require('../middleware/rateLimit');
+
+// Manual syncs hit the provider API for every page, so keep them infrequent per client
+const manualSyncLimiter = createRateLimiter({
+    windowMs: 10 * 60 * 1000,
+    max: 3,
+    message: 'Too many sync requests. Please wait a few minutes before syncing again.',
+});
 
 // All routes require authentication
 router.use(authMiddleware);
@@ -13,26 +20,14 @@ router.get('/export/doctor-data', executionController.exportDoctorData);
 router.get('/export/files', executionController.listExportedFiles);
 router.get('/:executionId', executionController.getExecutionById);
 
-// Manual sync endpoint - triggers immediate sync from Bolna
-router.post('/sync', async (req, res) => {
-    try {
-        console.log('🔄 Manual sync triggered by user:', req.client.email);
-        const syncedCount = await bolnaService.syncAllExecutions();
-        res.json({
-            success: true,
-            message: 'Sync completed successfully',
-            synced: syncedCount
-        });
-    } catch (error) {
-        console.error('Manual sync error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Sync failed'
-        });
-    }
-});
+// Manual sync endpoint - triggers immediate sync of the client's agents from Bolna
+router.post('/sync', manualSyncLimiter, executionController.syncMyExecutions);
 
 // Trigger sync of past call history to Google Sheets
 router.post('/sync-history', executionController.syncPastExecutions);
 
+// Re-run transcript extraction (single execution, or everything matching filters)
+router.post('/reextract', executionController.bulkReextract);
+router.post('/:executionId/reextract', executionController.reextractExecution);
+
 module.exports = router;
@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const extractionFieldsController = require('../controllers/extractionFieldsController');
+const createRateLimiter = require('../middleware/rateLimit');
+
+// Previews call the client's LLM on every request
+const previewLimiter = createRateLimiter({
+    windowMs: 10 * 60 * 1000,
+    max: 30,
+    message: 'Too many preview requests. Please wait a few minutes before trying again.',
+});
 
 // All routes require authentication
 router.use(auth);
@@ -12,6 +20,13 @@ router.get('/', extractionFieldsController.getAllFields);
 // POST /api/extraction-fields - Create a new field
 router.post('/', extractionFieldsController.createField);
 
+// POST /api/extraction-fields/preview - Test current or proposed fields on a transcript (saves nothing)
+router.post('/preview', previewLimiter, extractionFieldsController.previewFields);
+
+// GET /api/extraction-fields/versions - Schema versions of the field set
+router.get('/versions', extractionFieldsController.getSchemaVersions);
+router.get('/versions/:version', extractionFieldsController.getSchemaVersion);
+
 // PUT /api/extraction-fields/:id - Update a field
 router.put('/:id', extractionFieldsController.updateField);
 
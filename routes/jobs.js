@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const authMiddleware = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+
+// Job runs and locks are platform-wide, so only admins may see them
+router.use(authMiddleware, requireAdmin);
+
+router.get('/runs', jobController.getJobRuns);
+router.get('/locks', jobController.getJobLocks);
+
+module.exports = router;
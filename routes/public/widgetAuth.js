@@ -3,11 +3,12 @@ const router = express.Router();
 const Widget = require('../../models/Widget');
 const Agent = require('../../models/Agent');
 const bolnaService = require('../../services/bolnaService');
+const dncService = require('../../services/dncService');
 
 // POST /api/public/widget/request-call
 router.post('/request-call', async (req, res) => {
     try {
-        const { widget_id, phone_number } = req.body;
+        const { widget_id, phone_number, name, context } = req.body;
         const origin = req.headers.origin || req.headers.referer;
 
         if (!widget_id || !phone_number) {
@@ -41,6 +42,22 @@ router.post('/request-call', async (req, res) => {
             }
         }
 
+        // Optional name/context from the form, passed to the agent as call variables
+        if ((name !== undefined && name !== null && typeof name !== 'string')
+            || (context !== undefined && context !== null && typeof context !== 'string')) {
+            return res.status(400).json({ success: false, error: 'Name and context must be text' });
+        }
+
+        const callVariables = {};
+        const cleanName = (name || '').replace(/[\u0000-\u001f]/g, ' ').trim();
+        const cleanContext = (context || '').replace(/[\u0000-\u0008\u000b-\u001f]/g, ' ').trim();
+
+        if (cleanName.length > 100 || cleanContext.length > 1000) {
+            return res.status(400).json({ success: false, error: 'Name must be at most 100 characters and context at most 1000' });
+        }
+        if (cleanName) callVariables.name = cleanName;
+        if (cleanContext) callVariables.context = cleanContext;
+
         // 3. Find the associated Agent to get the Bolna ID
         const agent = await Agent.findById(widget.agent_id);
         if (!agent || !agent.bolna_agent_id) {
@@ -56,29 +73,19 @@ router.post('/request-call', async (req, res) => {
             cleanPhone = '+' + cleanPhone;
         }
 
-        // 5. Initiate the call securely on the server side
+        // 5. Never call a number that opted out
+        const dncEntry = await dncService.checkSuppression(widget.client_id, cleanPhone, `Widget ${widget_id}`);
+        if (dncEntry) {
+            return res.status(403).json({ success: false, error: 'This number has opted out of calls.' });
+        }
+
+        // 6. Initiate the call securely on the server side
         console.log(`📞 Widget ${widget_id} initiating call to ${cleanPhone} via agent ${agent.bolna_agent_id}`);
-        const bolnaResponse = await bolnaService.initiateCall(agent.bolna_agent_id, cleanPhone);
+        const bolnaResponse = await bolnaService.initiateCall(agent.bolna_agent_id, cleanPhone, {}, callVariables);
 
-        // 6. Proactively create/upsert the Execution record with source: 'widget'
+        // 7. Proactively create/upsert the Execution record with source: 'widget'
         try {
-            // Bolna can return the execution ID in various fields — check all common locations
-            const findId = (obj) => {
-                if (!obj || typeof obj !== 'object') return null;
-                const keys = ['id', 'execution_id', 'call_id', 'bolna_execution_id'];
-                for (const k of keys) {
-                    if (obj[k] && typeof obj[k] === 'string') return obj[k];
-                }
-                // Search one level deeper (e.g., bolnaResponse.data.id)
-                for (const v of Object.values(obj)) {
-                    if (v && typeof v === 'object') {
-                        const found = findId(v);
-                        if (found) return found;
-                    }
-                }
-                return null;
-            };
-            const executionId = findId(bolnaResponse);
+            const executionId = bolnaService.getExecutionIdFromResponse(bolnaResponse);
             if (executionId) {
                 const Execution = require('../../models/Execution');
                 await Execution.findOneAndUpdate(
@@ -89,6 +96,7 @@ router.post('/request-call', async (req, res) => {
                         status: 'pending',
                         to_number: cleanPhone,
                         source: 'widget',
+                        call_variables: Object.keys(callVariables).length > 0 ? callVariables : null,
                         started_at: new Date()
                     },
                     { upsert: true, new: true }
@@ -120,7 +128,7 @@ router.post('/request-call', async (req, res) => {
 router.get('/config/:id', async (req, res) => {
     try {
         const widgetId = req.params.id;
-        const widget = await Widget.findById(widgetId).select('name theme_color text_color bg_color button_text modal_title modal_subtitle success_message position border_radius is_active allowed_domains');
+        const widget = await Widget.findById(widgetId).select('name theme_color text_color bg_color button_text modal_title modal_subtitle success_message position border_radius collect_name collect_context context_label is_active allowed_domains');
 
         if (!widget || !widget.is_active) {
             return res.status(404).json({ success: false, error: 'Widget not found' });
@@ -155,7 +163,10 @@ router.get('/config/:id', async (req, res) => {
                 modal_subtitle: widget.modal_subtitle,
                 success_message: widget.success_message,
                 position: widget.position,
-                border_radius: widget.border_radius
+                border_radius: widget.border_radius,
+                collect_name: widget.collect_name,
+                collect_context: widget.collect_context,
+                context_label: widget.context_label
             }
         });
 
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+const authMiddleware = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// List executions needing review (low confidence or missing required fields)
+router.get('/', reviewController.getReviewQueue);
+
+// Correct (or approve) an execution's extracted values
+router.post('/:executionId/corrections', reviewController.submitCorrections);
+router.get('/:executionId/history', reviewController.getExtractionHistory);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const verifyWebhookSignature = require('../middleware/verifyWebhookSignature');
+
+// Public routes, authenticated by HMAC signature instead of a client token
+router.post('/executions', verifyWebhookSignature, webhookController.handleExecutionEvent);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Campaign = require('../models/Campaign');
+
+// Campaigns created before time zone support stored scheduled_at as the IST wall-clock time
+// written as UTC (the runner compared it against "now + 5:30"). The runner now compares real
+// instants, so those campaigns would start 5.5 hours late. This moves their pending start times
+// back by 5:30 and marks every unconverted campaign with scheduled_at_migrated, so running it
+// again changes nothing.
+//
+// Run once after deploying:
+//   node scripts/migrateScheduledAt.js [--dry-run]
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+async function migrateScheduledAt() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        // New campaigns and start times set since the change are marked already
+        const now = new Date();
+        const filter = { scheduled_at_migrated: { $ne: true } };
+
+        const pending = await Campaign.find({ ...filter, scheduled_at: { $gt: now } }).select('name scheduled_at').lean();
+        pending.forEach(campaign => {
+            const corrected = new Date(campaign.scheduled_at.getTime() - IST_OFFSET_MS);
+            console.log(`- ${campaign.name}: ${campaign.scheduled_at.toISOString()} -> ${corrected.toISOString()}`);
+        });
+
+        if (dryRun) {
+            const total = await Campaign.countDocuments(filter);
+            console.log(`\nℹ️  Dry run: ${pending.length} start time(s) would be moved, ${total} campaign(s) marked.`);
+            return;
+        }
+
+        // Past start times no longer matter, so only pending ones are moved
+        const result = await Campaign.updateMany(filter, [{
+            $set: {
+                scheduled_at: {
+                    $cond: [
+                        { $gt: ['$scheduled_at', now] },
+                        { $subtract: ['$scheduled_at', IST_OFFSET_MS] },
+                        '$scheduled_at',
+                    ],
+                },
+                scheduled_at_migrated: true,
+            },
+        }]);
+
+        console.log(`\n✅ Moved ${pending.length} start time(s), marked ${result.modifiedCount} campaign(s).`);
+    } catch (error) {
+        console.error('\n❌ Migration Error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+migrateScheduledAt();
@@ -0,0 +1,112 @@
+const path = require('path');
+const http = require('http');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const llmProviderService = require('../services/llmProviderService');
+const dataExtractionService = require('../services/dataExtractionService');
+
+// Runs a sample extraction through the provider layer.
+// By default it talks to a local stub of the chat completions API; set LLM_TEST_BASE_URL
+// (plus LLM_TEST_MODEL, LLM_TEST_API_KEY, LLM_TEST_TYPE) to try a real endpoint instead.
+
+const sampleFields = [
+    { field_name: 'Name', description: 'Full name of the caller', field_type: 'string' },
+    { field_name: 'Budget', description: 'Budget mentioned by the caller', field_type: 'number' },
+    { field_name: 'Interest', description: 'Interest level', field_type: 'enum', allowed_values: ['High', 'Low'] },
+];
+
+const sampleTranscript = `assistant: Hi, who am I speaking with?
+user: This is Priya Sharma.
+assistant: What budget do you have in mind?
+user: Around 25,000 rupees. I'm very interested.`;
+
+// Minimal OpenAI-compatible server that answers every field from the schema it receives
+function startStubServer() {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: { message: 'Not found' } }));
+            }
+
+            const payload = JSON.parse(body);
+            const schema = payload.response_format?.json_schema?.schema;
+            console.log(`   Stub received model=${payload.model}, response_format=${payload.response_format?.type}, max_tokens=${payload.max_tokens}`);
+
+            const answers = { Name: 'Priya Sharma', Budget: 25000, Interest: 'High' };
+            const content = {};
+            Object.keys(schema?.properties || {}).forEach(key => {
+                content[key] = answers[key] !== undefined
+                    ? { value: answers[key], confidence: 0.9, evidence: sampleTranscript.split('\n')[1] }
+                    : { value: null, confidence: 0, evidence: null };
+            });
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'stub',
+                model: payload.model,
+                choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: JSON.stringify(content) } }],
+            }));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+async function testLlmProvider() {
+    console.log('🧪 Testing LLM provider extraction...');
+
+    let server = null;
+    let settings;
+
+    if (process.env.LLM_TEST_BASE_URL) {
+        settings = {
+            type: process.env.LLM_TEST_TYPE || 'openai_compatible',
+            base_url: process.env.LLM_TEST_BASE_URL,
+            model: process.env.LLM_TEST_MODEL,
+            api_version: process.env.LLM_TEST_API_VERSION,
+            api_key: process.env.LLM_TEST_API_KEY,
+        };
+    } else {
+        server = await startStubServer();
+        settings = {
+            type: 'openai_compatible',
+            base_url: `http://127.0.0.1:${server.address().port}/v1`,
+            model: 'stub-model',
+        };
+    }
+
+    console.log(`   Provider: ${settings.type} at ${settings.base_url}`);
+
+    const validationError = llmProviderService.validateSettings(settings);
+    if (validationError) {
+        console.error(`❌ Invalid provider settings: ${validationError}`);
+        if (server) server.close();
+        return;
+    }
+
+    try {
+        const provider = llmProviderService.createProvider(settings);
+        const { values: result, details } = await dataExtractionService.extractWithCustomFieldsDetailed(
+            sampleTranscript,
+            sampleFields,
+            provider,
+            { throwOnError: true }
+        );
+
+        console.log('\n📦 Extracted:', result);
+        console.log('🔎 Confidence and evidence:', details);
+
+        const passed = result.Name !== 'Not Found' && typeof result.Budget === 'number';
+        console.log(passed ? '\n✅ Test PASSED!' : '\n❌ Test FAILED. Unexpected extraction result.');
+    } catch (error) {
+        console.error('\n❌ Extraction failed:', error.response?.data || error.message);
+    } finally {
+        if (server) server.close();
+    }
+}
+
+testLlmProvider();
@@ -5,6 +5,7 @@ require('dotenv').config();
 const connectDB = require('./config/database');
 const { startExecutionSync } = require('./jobs/syncExecutions');
 const { startCampaignRunner } = require('./jobs/campaignRunner');
+const { startExtractionWorker } = require('./jobs/extractionWorker');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -15,6 +16,10 @@ const googleAuthRoutes = require('./routes/googleAuth');
 const campaignRoutes = require('./routes/campaigns');
 const widgetRoutes = require('./routes/widgets');
 const publicWidgetRoutes = require('./routes/public/widgetAuth');
+const webhookRoutes = require('./routes/webhooks');
+const jobRoutes = require('./routes/jobs');
+const reviewRoutes = require('./routes/reviews');
+const dncRoutes = require('./routes/dnc');
 
 const app = express();
 app.set('trust proxy', true);
@@ -57,7 +62,14 @@ app.use((req, res, next) => {
     next();
 });
 
-app.use(express.json());
+app.use(express.json({
+    // Keep the raw bytes for webhook routes so their HMAC signatures can be verified
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/webhooks')) {
+            req.rawBody = buf;
+        }
+    },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging
@@ -75,6 +87,8 @@ app.get('/', (req, res) => {
             auth: '/api/auth',
             agents: '/api/agents',
             executions: '/api/executions',
+            reviews: '/api/reviews',
+            webhooks: '/api/webhooks',
         },
     });
 });
@@ -86,10 +100,16 @@ app.use('/api/extraction-fields', extractionFieldsRoutes);
 app.use('/api/auth', googleAuthRoutes);
 app.use('/api/campaigns', campaignRoutes);
 app.use('/api/widgets', widgetRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/dnc', dncRoutes);
 
 // Public API routes (CORS must be handled carefully here, so using the custom proxy headers above)
 app.use('/api/public/widget', publicWidgetRoutes);
 
+// Inbound provider webhooks (signature-verified, no client token)
+app.use('/api/webhooks', webhookRoutes);
+
 // Health check
 app.get('/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -117,6 +137,7 @@ const startServer = async () => {
         // Start cron jobs
         startExecutionSync();
         startCampaignRunner();
+        startExtractionWorker();
 
         // Start Express server
         app.listen(PORT, () => {
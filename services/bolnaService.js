@@ -3,6 +3,22 @@ const Agent = require('../models/Agent');
 const Execution = require('../models/Execution');
 const dataExtractionService = require('./dataExtractionService');
 const sheetService = require('./sheetService');
+const extractionQueueService = require('./extractionQueueService');
+const extractionSchemaService = require('./extractionSchemaService');
+
+// Execution statuses that will not change any more
+const TERMINAL_STATUSES = [
+    'completed',
+    'failed',
+    'cancelled',
+    'canceled',
+    'no-answer',
+    'busy',
+    'error',
+    'stopped',
+    'call-disconnected',
+    'balance-low',
+];
 
 class BolnaService {
     constructor() {
@@ -67,7 +83,8 @@ class BolnaService {
     }
 
     // Initiate an outbound call (POST /call)
-    async initiateCall(bolnaAgentId, recipientPhoneNumber, retryConfig = {}) {
+    // userData: variables the agent can use in its prompt (e.g. { name, appointment_date })
+    async initiateCall(bolnaAgentId, recipientPhoneNumber, retryConfig = {}, userData = {}) {
         try {
             const payload = {
                 agent_id: bolnaAgentId,
@@ -79,6 +96,10 @@ class BolnaService {
                 payload.retry_config = retryConfig;
             }
 
+            if (userData && Object.keys(userData).length > 0) {
+                payload.user_data = userData;
+            }
+
             const response = await this.axiosInstance.post('/call', payload);
             return response.data;
         } catch (error) {
@@ -87,10 +108,50 @@ class BolnaService {
         }
     }
 
+    // Whether an execution status is final
+    isTerminalStatus(status) {
+        return TERMINAL_STATUSES.includes((status || '').toLowerCase());
+    }
+
+    // Whether an update is older than the stored execution: its updated_at is earlier, or it
+    // would move a settled execution back to an in-flight status
+    isStaleUpdate(existing, executionData) {
+        const updatedAt = executionData.updated_at ? new Date(executionData.updated_at).getTime() : null;
+        if (updatedAt && existing.ended_at && updatedAt < existing.ended_at.getTime()) {
+            return true;
+        }
+
+        return this.isTerminalStatus(existing.status) && !this.isTerminalStatus(executionData.status || 'pending');
+    }
+
+    // Statuses after which an execution won't change
+    getTerminalStatuses() {
+        return [...TERMINAL_STATUSES];
+    }
+
+    // Find the execution ID in a POST /call response (AItelz returns it under different keys)
+    getExecutionIdFromResponse(response) {
+        if (!response || typeof response !== 'object') return null;
+
+        const keys = ['id', 'execution_id', 'call_id', 'bolna_execution_id'];
+        for (const key of keys) {
+            if (response[key] && typeof response[key] === 'string') return response[key];
+        }
+
+        // Search one level deeper (e.g., response.data.id)
+        for (const value of Object.values(response)) {
+            if (value && typeof value === 'object') {
+                const found = this.getExecutionIdFromResponse(value);
+                if (found) return found;
+            }
+        }
+        return null;
+    }
+
     // Sync executions for all agents in the database
-    async syncAllExecutions() {
+    async syncAllExecutions(options = {}) {
         try {
-            console.log('🔄 Starting execution sync...');
+            console.log(`🔄 Starting execution sync${options.fullResync ? ' (full resync)' : ''}...`);
 
             const agents = await Agent.find();
 
@@ -99,17 +160,8 @@ class BolnaService {
                 return 0;
             }
 
-            let totalSynced = 0;
-
-            for (const agent of agents) {
-                try {
-                    console.log(`\n📡 Syncing agent: ${agent.name} (${agent.bolna_agent_id})`);
-                    const synced = await this.syncExecutionsForAgent(agent.bolna_agent_id);
-                    totalSynced += synced;
-                } catch (error) {
-                    console.error(`Failed to sync agent ${agent.bolna_agent_id}:`, error.message);
-                }
-            }
+            const results = await this.syncAgents(agents, options);
+            const totalSynced = results.reduce((sum, result) => sum + result.synced, 0);
 
             console.log(`\n✅ Sync complete. Total executions synced: ${totalSynced}`);
             return totalSynced;
@@ -119,20 +171,67 @@ class BolnaService {
         }
     }
 
-    // Sync executions for a specific agent (with pagination support)
-    async syncExecutionsForAgent(bolnaAgentId) {
+    /**
+     * Sync a given list of agents one after another
+     * @param {Array} agents - Agent documents
+     * @param {Object} [options] - Passed to syncExecutionsForAgent; options.signal stops the
+     *   sync before the next agent once aborted
+     * @returns {Promise<Array>} Per-agent results
+     */
+    async syncAgents(agents, options = {}) {
+        const results = [];
+
+        for (const agent of agents) {
+            if (options.signal?.aborted) break;
+
+            console.log(`\n📡 Syncing agent: ${agent.name} (${agent.bolna_agent_id})`);
+            const result = await this.syncExecutionsForAgent(agent.bolna_agent_id, options);
+            results.push({
+                agent_id: agent._id,
+                name: agent.name,
+                ...result,
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Sync executions for a specific agent (with pagination support)
+     *
+     * Pages are returned newest first. Unless a full resync is requested, the walk stops
+     * once it reaches executions older than the agent's settled cursor that are already
+     * stored in a terminal state, and executions stored with an unchanged terminal status
+     * are not re-upserted.
+     * @param {string} bolnaAgentId - AItelz agent ID
+     * @param {Object} [options]
+     * @param {boolean} [options.fullResync] - Ignore the cursor and walk every page
+     * @returns {Promise<Object>} { synced, failed, pages, reached_cursor, error }
+     */
+    async syncExecutionsForAgent(bolnaAgentId, options = {}) {
         try {
             const agent = await Agent.findOne({ bolna_agent_id: bolnaAgentId });
             if (!agent) {
                 throw new Error(`Agent ${bolnaAgentId} not found in database`);
             }
 
+            const fullResync = !!options.fullResync;
+            const settledBefore = !fullResync && agent.sync_cursor?.settled_before
+                ? agent.sync_cursor.settled_before.getTime()
+                : null;
+
             let totalSynced = 0;
+            let totalFailed = 0;
             let pageNumber = 1;
             let hasMore = true;
+            let reachedCursor = false;
+            let completedWalk = false;
+
+            let newest = null; // { createdAt, id }
+            let oldestUnsettled = null; // created_at of the oldest non-terminal execution seen
 
-            // Fetch all pages
-            while (hasMore) {
+            // Fetch pages until we run out or reach already-settled executions
+            while (hasMore && !reachedCursor) {
                 const response = await this.fetchExecutionsForAgent(bolnaAgentId, pageNumber, 50);
 
                 const executions = response.data || [];
@@ -140,27 +239,100 @@ class BolnaService {
 
                 console.log(`   📄 Page ${pageNumber}: Found ${executions.length} executions`);
 
-                // Upsert each execution
+                // Look up the stored status of everything on this page in one query
+                const pageIds = executions.map(e => e.id || e.execution_id).filter(Boolean);
+                const stored = await Execution.find({ bolna_execution_id: { $in: pageIds } })
+                    .select('bolna_execution_id status');
+                const storedStatus = new Map(stored.map(e => [e.bolna_execution_id, e.status]));
+
                 for (const executionData of executions) {
+                    const executionId = executionData.id || executionData.execution_id;
+                    const createdAt = executionData.created_at ? new Date(executionData.created_at).getTime() : null;
+                    const status = executionData.status || 'pending';
+                    const isTerminal = this.isTerminalStatus(status);
+                    const knownTerminal = isTerminal && storedStatus.get(executionId) === status;
+
+                    if (settledBefore && createdAt && createdAt < settledBefore && knownTerminal) {
+                        reachedCursor = true;
+                        break;
+                    }
+
+                    if (createdAt && (!newest || createdAt > newest.createdAt)) {
+                        newest = { createdAt, id: executionId };
+                    }
+                    if (!isTerminal && createdAt && (!oldestUnsettled || createdAt < oldestUnsettled)) {
+                        oldestUnsettled = createdAt;
+                    }
+
+                    // Nothing changed since we stored it, skip the upsert and extraction checks
+                    if (knownTerminal && !fullResync) {
+                        continue;
+                    }
+
                     try {
                         await this.upsertExecution(agent._id, executionData);
                         totalSynced++;
                     } catch (error) {
+                        totalFailed++;
                         console.error(`Error upserting AItelz execution:`, error.message);
                     }
                 }
 
-                if (hasMore) {
+                if (!hasMore) {
+                    completedWalk = true;
+                } else if (!reachedCursor) {
                     pageNumber++;
                 }
             }
 
-            console.log(`   ✓ Synced ${totalSynced} executions across ${pageNumber} page(s)`);
-            return totalSynced;
+            await this.updateSyncCursor(agent, {
+                newest,
+                oldestUnsettled,
+                settledBefore,
+                walkedEverything: completedWalk || reachedCursor,
+            });
+
+            console.log(`   ✓ Synced ${totalSynced} executions across ${pageNumber} page(s)${reachedCursor ? ' (reached sync cursor)' : ''}`);
+            return {
+                synced: totalSynced,
+                failed: totalFailed,
+                pages: pageNumber,
+                reached_cursor: reachedCursor,
+            };
         } catch (error) {
             console.error(`Error syncing AItelz agent ${bolnaAgentId}:`, error.message);
-            return 0;
+            return { synced: 0, failed: 0, pages: 0, reached_cursor: false, error: error.message };
+        }
+    }
+
+    /**
+     * Persist the agent's sync cursor after a sync walk
+     */
+    async updateSyncCursor(agent, { newest, oldestUnsettled, settledBefore, walkedEverything }) {
+        const cursor = {
+            last_created_at: agent.sync_cursor?.last_created_at || null,
+            last_execution_id: agent.sync_cursor?.last_execution_id || null,
+            settled_before: agent.sync_cursor?.settled_before || null,
+            last_synced_at: new Date(),
+        };
+
+        if (newest && (!cursor.last_created_at || newest.createdAt >= cursor.last_created_at.getTime())) {
+            cursor.last_created_at = new Date(newest.createdAt);
+            cursor.last_execution_id = newest.id;
         }
+
+        // Only move the settled mark when every execution newer than it was walked
+        if (walkedEverything) {
+            if (oldestUnsettled) {
+                cursor.settled_before = new Date(oldestUnsettled);
+            } else if (newest) {
+                cursor.settled_before = new Date(newest.createdAt);
+            } else if (settledBefore) {
+                cursor.settled_before = new Date(settledBefore);
+            }
+        }
+
+        await Agent.updateOne({ _id: agent._id }, { $set: { sync_cursor: cursor } });
     }
 
     // Upsert execution into database
@@ -188,6 +360,12 @@ class BolnaService {
             // Fetch existing execution to preserve extracted_data keys (especially _extraction_processed)
             const existingExecution = await Execution.findOne({ bolna_execution_id: executionId });
 
+            // Webhooks and the sync can deliver an execution's states late or out of order
+            if (existingExecution && this.isStaleUpdate(existingExecution, executionData)) {
+                console.log(`⏭️  Ignoring stale ${executionData.status || 'pending'} update for AItelz execution ${executionId}`);
+                return existingExecution;
+            }
+
             let finalExtractedData = executionData.extracted_data || {};
 
             // If we have already processed extraction locally, preserve those flags and data
@@ -210,7 +388,6 @@ class BolnaService {
                 call_sid: executionData.telephony_data?.call_sid || executionData.call_sid,
                 retry_attempt: executionData.retry_attempt || executionData.metadata?.retry_attempt || 0,
                 extracted_data: finalExtractedData,
-                transcript: executionData.transcript || '',
                 metadata: {
                     ...executionData,
                     cost_breakdown: executionData.cost_breakdown,
@@ -221,15 +398,20 @@ class BolnaService {
                 ended_at: executionData.updated_at ? new Date(executionData.updated_at) : null,
             };
 
+            // Status-only events carry no transcript; keep the one we have
+            if (executionData.transcript) {
+                executionDoc.transcript = executionData.transcript;
+            }
+
             const execution = await Execution.findOneAndUpdate(
                 { bolna_execution_id: executionId },
                 executionDoc,
                 { upsert: true, new: true }
             );
 
-            // Extract and save doctor information if transcript exists
+            // Queue extraction if a transcript exists; the extraction worker picks it up
             if (execution.transcript && execution.transcript.trim().length > 0) {
-                await this.processTranscriptForExtraction(execution);
+                await extractionQueueService.enqueue(execution);
             }
 
             return execution;
@@ -242,109 +424,131 @@ class BolnaService {
     /**
      * Process transcript to extract data using custom user-defined fields
      * @param {Object} execution - Execution document
+     * @param {Object} [options]
+     * @param {boolean} [options.throwOnError] - Rethrow AI and sheet failures so the caller can retry
+     * @param {boolean} [options.reextract] - Ignore previously extracted values and run the AI again
      */
-    /**
-     * Process transcript to extract data using custom user-defined fields
-     * @param {Object} execution - Execution document
-     */
-    async processTranscriptForExtraction(execution) {
+    async processTranscriptForExtraction(execution, options = {}) {
+        let sheetError = null;
+
         try {
             // Find the agent to get client_id
             const agent = await Agent.findById(execution.agent_id);
             if (!agent || !agent.client_id) {
                 console.warn(`⚠️  Agent or client_id not found for AItelz execution ${execution.bolna_execution_id}`);
+                await this.setExtractionState(execution, 'failed', 'Agent or client not found');
                 return;
             }
 
+            const alreadySynced = !!(execution.extracted_data && execution.extracted_data.google_sheet_synced);
+
             // check if already synced to sheet
-            if (execution.extracted_data && execution.extracted_data.google_sheet_synced) {
+            if (alreadySynced && !options.reextract) {
                 return;
             }
 
-            // Import ExtractionField model
-            const ExtractionField = require('../models/ExtractionField');
-
-            // Fetch active extraction fields for this user
-            const extractionFields = await ExtractionField.find({
-                client_id: agent.client_id,
-                is_active: true
-            }).sort({ order: 1 });
+            // Fetch active extraction fields for this agent (its own plus the client-wide ones)
+            const extractionFields = await extractionSchemaService.getFieldsForAgent(agent.client_id, agent._id);
 
             if (!extractionFields || extractionFields.length === 0) {
-                console.log(`ℹ️  No active extraction fields found for client ${agent.client_id}`);
+                console.log(`ℹ️  No active extraction fields found for agent ${agent._id} of client ${agent.client_id}`);
+                await this.setExtractionState(execution, 'skipped_no_fields');
                 return;
             }
 
-            // Get client to retrieve API key
+            // Get client to resolve its LLM provider
             const Client = require('../models/Client');
-            const encryptionService = require('./encryptionService');
+            const llmProviderService = require('./llmProviderService');
             const client = await Client.findById(agent.client_id);
 
-            // Decrypt the user's OpenAI API key
-            const userApiKey = client?.openai_api_key
-                ? encryptionService.decrypt(client.openai_api_key)
-                : null;
+            const provider = llmProviderService.resolveForClient(client);
 
             let extractedData = {};
+            let freshExtraction = false;
+            let fieldDetails = execution.extracted_data?.field_details || {};
+            let extractionMerge = execution.extracted_data?.extraction_merge || null;
 
             // Check if we already have extracted data
-            if (execution.extracted_data && execution.extracted_data.custom_fields) {
+            if (!options.reextract && execution.extracted_data && execution.extracted_data.custom_fields) {
                 extractedData = execution.extracted_data.custom_fields;
             } else {
+                if (!provider) {
+                    console.log(`ℹ️  No LLM provider or API key for client ${agent.client_id}, skipping extraction`);
+                    await this.setExtractionState(execution, 'skipped_no_key');
+                    return;
+                }
+
                 // Extract field names and descriptions for AI
                 const fieldsForAI = extractionFields.map(field => ({
                     field_name: field.field_name,
-                    description: field.description
+                    description: field.description,
+                    field_type: field.field_type,
+                    allowed_values: field.allowed_values,
+                    required: field.required,
+                    merge_strategy: field.merge_strategy
                 }));
 
                 console.log(`🤖 Extracting data with ${extractionFields.length} custom fields...`);
 
-                // Use custom fields extraction with user's API key
-                extractedData = await dataExtractionService.extractWithCustomFields(
+                // Use custom fields extraction with the client's provider (long transcripts are chunked)
+                const extraction = await dataExtractionService.extractWithCustomFieldsDetailed(
                     execution.transcript,
                     fieldsForAI,
-                    userApiKey
+                    provider,
+                    { throwOnError: options.throwOnError }
                 );
+                extractedData = extraction.values;
+                fieldDetails = extraction.details;
+                extractionMerge = extraction.merge;
+                freshExtraction = true;
+
+                const schemaVersion = await extractionSchemaService.getCurrentVersion(agent.client_id);
+                execution.extraction_schema_version = schemaVersion.version;
             }
 
             // Check if we have any meaningful data (not all "Not Found")
             const hasValidData = Object.values(extractedData).some(value => value !== 'Not Found');
 
-            let sheetSynced = false;
+            let sheetSynced = alreadySynced;
+            let sheetRow = execution.extracted_data?.sheet_row || null;
 
             if (hasValidData || process.env.SAVE_EMPTY_EXTRACTIONS === 'true') {
-                // Prepare metadata
-                const metadata = {
-                    'Call_Date': execution.started_at ? execution.started_at.toISOString().split('T')[0] : '',
-                    'Call_Time': execution.started_at ? execution.started_at.toTimeString().split(' ')[0] : '',
-                    'Execution_ID': execution.bolna_execution_id || execution._id.toString(),
-                    'Agent_Name': agent.name || '',
-                };
+                const metadata = this.buildExtractionMetadata(execution, agent);
 
                 if (client && client.google_authorized) {
-                    // Determine which sheet ID to use: priority extraction_sheet_id, then legacy google_sheet_id
-                    const sheetId = client.extraction_sheet_id || client.google_sheet_id;
+                    // The agent's own sheet/tab, else the client's sheet
+                    const extractionDestinationService = require('./extractionDestinationService');
+                    const target = extractionDestinationService.getTarget(client, agent);
 
-                    if (sheetId && extractionFields.length > 0) {
+                    if (target && extractionFields.length > 0) {
                         try {
                             // Use Google Sheets API
                             const googleSheetsService = require('./googleSheetsService');
 
-                            // Prepare values in same order as fields
-                            const values = [
-                                ...extractionFields.map(f => extractedData[f.field_name] || 'Not Found'),
-                                metadata.Call_Date,
-                                metadata.Call_Time,
-                                metadata.Execution_ID,
-                                metadata.Agent_Name,
-                            ];
+                            // Values in sheet column order (all schema versions' fields for this destination)
+                            const columns = await extractionDestinationService.getColumns(client, agent);
+                            const values = this.buildSheetRowValues(columns, extractedData, metadata);
+
+                            if (alreadySynced) {
+                                // Re-extraction: overwrite the existing row instead of appending a duplicate
+                                const result = await googleSheetsService.upsertRow(client, target.spreadsheet_id, values, {
+                                    range: extractionDestinationService.isSameTarget(sheetRow, target) ? sheetRow.range : null,
+                                    keyHeader: 'Execution_ID',
+                                    keyValue: metadata.Execution_ID,
+                                    tab: target.tab,
+                                });
+                                sheetRow = { ...target, range: result.range };
+                            } else {
+                                const range = await googleSheetsService.appendRow(client, target.spreadsheet_id, values, target.tab);
+                                sheetRow = typeof range === 'string' ? { ...target, range } : null;
+                            }
 
-                            await googleSheetsService.appendRow(client, sheetId, values);
                             sheetSynced = true;
-                            console.log(`✅ Data sent to Google Sheet (${sheetId}) via API`);
+                            console.log(`✅ Data sent to Google Sheet (${target.spreadsheet_id}${target.tab ? `, tab ${target.tab}` : ''}) via API`);
                         } catch (error) {
                             console.error('❌ Failed to send to Google Sheets:', error.message);
-                            // Don't throw - continue processing
+                            // Don't throw yet - save the extracted data first so a retry can reuse it
+                            sheetError = error;
                         }
                     } else {
                         console.log('ℹ️  No Google Sheet ID configured or no extraction fields to sync.');
@@ -353,27 +557,111 @@ class BolnaService {
                     console.log('ℹ️  Google Sheets not connected for this user');
                 }
 
+                // Required fields the call didn't yield a valid value for
+                const missingRequired = extractionFields
+                    .filter(f => f.required && (extractedData[f.field_name] ?? 'Not Found') === 'Not Found')
+                    .map(f => f.field_name);
+                const lowConfidence = dataExtractionService.getLowConfidenceFields(fieldDetails);
+
                 // Update execution with extracted data
                 execution.extracted_data = {
                     ...execution.extracted_data,
                     custom_fields: extractedData,
+                    // Confidence (0-1) and supporting transcript quote per field
+                    field_details: fieldDetails,
+                    missing_required: missingRequired,
+                    low_confidence_fields: lowConfidence,
                     metadata: metadata,
+                    // How the transcript was chunked and which strategy merged each field
+                    extraction_merge: extractionMerge,
                     _extraction_processed: true,
-                    _extraction_date: execution.extracted_data?._extraction_date || new Date(),
-                    google_sheet_synced: sheetSynced
+                    _extraction_date: (!options.reextract && execution.extracted_data?._extraction_date) || new Date(),
+                    google_sheet_synced: sheetSynced,
+                    // Where the row was written, so corrections can update it in place
+                    sheet_row: sheetRow
                 };
-                await execution.save();
+
+                if (freshExtraction) {
+                    execution.extraction_history.push({
+                        source: 'ai',
+                        custom_fields: extractedData,
+                        field_details: fieldDetails,
+                    });
+                    execution.review_status = (missingRequired.length > 0 || lowConfidence.length > 0) ? 'needs_review' : null;
+                    execution.reviewed_at = null;
+                    execution.reviewed_by = {};
+                }
+
+                if (sheetError) {
+                    await this.setExtractionState(execution, 'failed', `Google Sheets sync failed: ${sheetError.message}`);
+                    throw sheetError;
+                }
+
+                await this.setExtractionState(execution, 'succeeded');
 
                 console.log(`✅ Extracted and saved custom fields data for AItelz execution ${execution.bolna_execution_id}`);
             } else {
+                await this.setExtractionState(execution, 'succeeded');
                 console.log(`⚠️  No valid data extracted for AItelz execution ${execution.bolna_execution_id}`);
             }
         } catch (error) {
             console.error('Error processing transcript extraction:', error.message);
-            // Don't throw - we don't want to break the main sync process
+
+            // Sheet failures are recorded before the throw
+            if (error !== sheetError) {
+                try {
+                    await this.setExtractionState(execution, 'failed', error.message);
+                } catch (stateError) {
+                    console.error('Failed to record extraction failure:', stateError.message);
+                }
+            }
+
+            if (options.throwOnError) {
+                throw error;
+            }
         }
     }
 
+    /**
+     * Metadata columns written after the extraction fields
+     */
+    buildExtractionMetadata(execution, agent) {
+        return {
+            'Call_Date': execution.started_at ? execution.started_at.toISOString().split('T')[0] : '',
+            'Call_Time': execution.started_at ? execution.started_at.toTimeString().split(' ')[0] : '',
+            'Execution_ID': execution.bolna_execution_id || execution._id.toString(),
+            'Agent_Name': agent.name || '',
+        };
+    }
+
+    /**
+     * Google Sheet row: a value per field column, then the metadata columns.
+     * Columns for fields that weren't part of the execution's schema version stay blank.
+     * @param {Array<string>} columns - Field columns of the sheet (see extractionSchemaService.getSheetColumns)
+     */
+    buildSheetRowValues(columns, extractedData, metadata) {
+        return [
+            ...columns.map(fieldName => (fieldName in extractedData ? (extractedData[fieldName] ?? 'Not Found') : '')),
+            metadata.Call_Date,
+            metadata.Call_Time,
+            metadata.Execution_ID,
+            metadata.Agent_Name,
+        ];
+    }
+
+    /**
+     * Record the outcome of an extraction attempt on the execution (also saves pending changes)
+     * @param {Object} execution - Execution document
+     * @param {string} state - One of Execution extraction_state values
+     * @param {string} [errorMessage] - Last error, for failed attempts
+     */
+    async setExtractionState(execution, state, errorMessage = null) {
+        execution.extraction_state = state;
+        execution.extraction_error = errorMessage;
+        execution.extraction_attempted_at = new Date();
+        await execution.save();
+    }
+
     // Fetch and update single execution with full details
     async fetchAndUpdateExecution(bolnaAgentId, bolnaExecutionId) {
         try {
@@ -398,9 +686,9 @@ class BolnaService {
                 };
                 await execution.save();
 
-                // Process transcript for extraction if available
+                // Queue transcript extraction if available
                 if (execution.transcript && execution.transcript.trim().length > 0) {
-                    await this.processTranscriptForExtraction(execution);
+                    await extractionQueueService.enqueue(execution);
                 }
             }
 
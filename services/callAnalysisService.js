@@ -0,0 +1,165 @@
+/**
+ * Call-level analysis of transcripts: a short summary, caller sentiment and a disposition
+ * from the client's label list. Runs in the extraction worker, with the client's LLM provider.
+ */
+
+const Agent = require('../models/Agent');
+const Client = require('../models/Client');
+const dataExtractionService = require('./dataExtractionService');
+const llmProviderService = require('./llmProviderService');
+const dncService = require('./dncService');
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+class CallAnalysisService {
+    /**
+     * Analyze an execution's transcript and store the result on it.
+     * Failures are recorded in execution.analysis.error; they are only thrown with throwOnError.
+     * @param {Object} execution - Execution document
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Re-analyze even if the execution was analyzed before
+     * @param {boolean} [options.throwOnError] - Rethrow failures (after recording them) so the caller can retry
+     * @returns {Promise<Object|null>} The analysis, or null if skipped
+     */
+    async analyzeExecution(execution, options = {}) {
+        if (!execution.transcript || execution.transcript.trim().length === 0) {
+            return null;
+        }
+
+        // A failed re-analysis keeps the earlier result, so an error means it still needs running
+        if (execution.analysis?.analyzed_at && !execution.analysis.error && !options.force) {
+            return null;
+        }
+
+        try {
+            const agent = await Agent.findById(execution.agent_id).select('client_id');
+            const client = agent ? await Client.findById(agent.client_id) : null;
+            if (!client || client.analysis_settings?.enabled === false) {
+                return null;
+            }
+
+            const provider = llmProviderService.resolveForClient(client);
+            if (!provider) {
+                return null;
+            }
+
+            const labels = this.getDispositionLabels(client);
+            const analysis = await this.analyzeTranscript(execution.transcript, labels, provider);
+
+            execution.analysis = {
+                ...analysis,
+                analyzed_at: new Date(),
+                error: null,
+            };
+            await execution.save();
+
+            console.log(`📊 Analyzed AItelz execution ${execution.bolna_execution_id}: ${analysis.disposition || 'no disposition'}, ${analysis.sentiment || 'no sentiment'}`);
+
+            // The caller asked not to be called again
+            try {
+                await dncService.addFromExecution(client, execution);
+            } catch (dncError) {
+                console.error(`Failed to add AItelz execution ${execution.bolna_execution_id} to the Do-Not-Call list:`, dncError.message);
+            }
+
+            return execution.analysis;
+        } catch (error) {
+            const message = error.response?.data?.error?.message || error.message;
+            console.error(`❌ Call analysis failed for AItelz execution ${execution.bolna_execution_id}:`, message);
+
+            try {
+                execution.analysis.error = message;
+                await execution.save();
+            } catch (saveError) {
+                console.error('Failed to record analysis failure:', saveError.message);
+            }
+
+            if (options.throwOnError) throw error;
+            return null;
+        }
+    }
+
+    /**
+     * Run the analysis prompt on a transcript
+     * @param {string} transcript - Call transcript
+     * @param {Array<string>} labels - Allowed dispositions
+     * @param {Object} provider - LLM provider
+     * @returns {Promise<Object>} { summary, sentiment, disposition }
+     */
+    async analyzeTranscript(transcript, labels, provider) {
+        const schema = {
+            type: 'object',
+            properties: {
+                summary: { type: 'string', description: 'Two or three sentence summary of the call' },
+                sentiment: { type: 'string', enum: SENTIMENTS, description: 'Overall sentiment of the caller' },
+                disposition: { type: ['string', 'null'], enum: [...labels, null], description: 'Outcome of the call' },
+            },
+            required: ['summary', 'sentiment', 'disposition'],
+            additionalProperties: false,
+        };
+
+        const messages = [
+            {
+                role: 'system',
+                content: 'You analyze phone call transcripts between an AI agent and a caller. Only use information stated in the transcript.',
+            },
+            {
+                role: 'user',
+                content: `Analyze this call transcript.
+
+- summary: two or three sentences on what the call was about and how it ended
+- sentiment: the caller's overall sentiment (${SENTIMENTS.join(', ')})
+- disposition: the call outcome, exactly one of: ${labels.join(', ')} (null if none fits)
+
+Transcript:
+${this.fitTranscript(transcript)}`,
+            },
+        ];
+
+        const result = await dataExtractionService.requestStructuredOutput({
+            messages,
+            schema,
+            maxTokens: 400,
+            provider,
+        });
+
+        const disposition = typeof result.disposition === 'string'
+            ? labels.find(label => label.toLowerCase() === result.disposition.trim().toLowerCase()) || null
+            : null;
+        const sentiment = typeof result.sentiment === 'string' && SENTIMENTS.includes(result.sentiment.trim().toLowerCase())
+            ? result.sentiment.trim().toLowerCase()
+            : null;
+
+        return {
+            summary: typeof result.summary === 'string' ? result.summary.trim().slice(0, 2000) || null : null,
+            sentiment,
+            disposition,
+        };
+    }
+
+    /**
+     * Keep long transcripts within the extraction chunk budget: the opening and the end of a
+     * call say the most about what it was for and how it ended
+     */
+    fitTranscript(transcript) {
+        const maxChars = dataExtractionService.chunkTokenBudget * 4;
+        if (transcript.length <= maxChars) {
+            return transcript;
+        }
+
+        const half = Math.floor(maxChars / 2);
+        return `${transcript.slice(0, half)}\n[... middle of the call omitted ...]\n${transcript.slice(-half)}`;
+    }
+
+    /**
+     * Disposition labels configured for a client
+     */
+    getDispositionLabels(client) {
+        const labels = client.analysis_settings?.disposition_labels;
+        return Array.isArray(labels) && labels.length > 0
+            ? labels
+            : Client.schema.path('analysis_settings.disposition_labels').defaultValue();
+    }
+}
+
+module.exports = new CallAnalysisService();
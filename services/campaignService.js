@@ -1,11 +1,41 @@
+const crypto = require('crypto');
 const Campaign = require('../models/Campaign');
+const CampaignContact = require('../models/CampaignContact');
 const Client = require('../models/Client');
 const Agent = require('../models/Agent');
 const Execution = require('../models/Execution');
 const googleSheetsService = require('./googleSheetsService');
 const bolnaService = require('./bolnaService');
+const timezoneService = require('./timezoneService');
+const dncService = require('./dncService');
+const { sendCampaignCompletedEmail } = require('./emailService');
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Sheet text for execution statuses
+const SHEET_STATUSES = {
+    completed: 'Call Completed',
+    'no-answer': "Didn't pick it up",
+    busy: 'Number Busy',
+    failed: 'Call Failed',
+    error: 'Call Failed',
+    voicemail: 'Voicemail',
+};
+
+// Retry policy of a final execution status (other statuses aren't retried)
+const RETRY_OUTCOMES = {
+    'no-answer': 'no_answer',
+    busy: 'busy',
+    failed: 'failed',
+    error: 'failed',
+};
+
+// Why a campaign completed, as told to the client
+const COMPLETION_REASONS = {
+    all_contacts_done: 'every contact has been called',
+    end_date: 'its end date was reached',
+    max_calls: 'it reached its maximum number of calls',
+    budget: 'it used up its budget',
+    manual: 'it was marked as completed',
+};
 
 // Helper to convert column index (0-based) to letter (A, B, C...)
 function colIndexToLetter(index) {
@@ -18,274 +48,1180 @@ function colIndexToLetter(index) {
 }
 
 class CampaignService {
-    // Helper to get current Indian Standard Time (UTC + 5.5)
-    getISTDate() {
-        const now = new Date();
-        return new Date(now.getTime() + (5.5 * 60 * 60 * 1000));
+    constructor() {
+        this.importIntervalMs = (parseInt(process.env.CAMPAIGN_IMPORT_INTERVAL_MINUTES) || 10) * 60 * 1000;
+        this.writeBackBatchSize = 500;
+        this.dialingTimeoutMs = 10 * 60 * 1000;
+        // Runner tick length (pacing is spread over ticks) and the per-client default cap
+        this.tickSeconds = parseInt(process.env.CAMPAIGN_RUNNER_INTERVAL_SECONDS) || 15;
+        this.clientMaxConcurrentCalls = parseInt(process.env.CAMPAIGN_CLIENT_MAX_CONCURRENT_CALLS) || 10;
+        // Calls still not finished after this long no longer count as live
+        this.liveCallTimeoutMs = 30 * 60 * 1000;
     }
 
-    // Process new rows in active campaigns
-    async processActiveCampaigns() {
+    // Import new rows and dial pending contacts of all active campaigns, interleaved fairly.
+    // Stops between campaigns and calls once signal (the runner's lease) is aborted.
+    // Returns the number of calls started.
+    async processActiveCampaigns(signal = null) {
         console.log(`🔄 [${new Date().toISOString()}] Checking for new rows in active campaigns...`);
         try {
             const campaigns = await Campaign.find({ status: 'active' });
-            if (campaigns.length === 0) return;
+            if (campaigns.length === 0) return 0;
 
+            const runnable = [];
             for (const campaign of campaigns) {
+                if (signal?.aborted) return 0;
+
                 try {
-                    await this.processCampaign(campaign);
+                    const slot = await this.processCampaign(campaign);
+                    if (slot) runnable.push(slot);
                 } catch (error) {
                     console.error(`❌ Failed to process campaign ${campaign.name}:`, error.message);
                 }
             }
+
+            return await this.dialRoundRobin(runnable, signal);
         } catch (error) {
             console.error('❌ Error processing active campaigns:', error);
+            return 0;
         }
     }
 
-    // Process a single campaign
+    /**
+     * Prepare a single campaign for this tick: check its schedule, pick up new sheet rows
+     * and work out how many calls it may start now
+     * @returns {Promise<Object|null>} { campaign, agent, client, capacity, contactFilter }, or null if it can't dial now
+     */
     async processCampaign(campaign) {
         try {
-            const istNow = this.getISTDate();
+            // 0. Check scheduling
+            if (campaign.scheduled_at && new Date() < campaign.scheduled_at) {
+                console.log(`⏳ Campaign ${campaign.name} is scheduled for ${campaign.scheduled_at.toISOString()}. Skipping...`);
+                return null;
+            }
 
-            // 0. Check scheduling (Compare with IST)
-            if (campaign.scheduled_at && istNow < new Date(campaign.scheduled_at)) {
-                console.log(`⏳ Campaign ${campaign.name} is scheduled for ${campaign.scheduled_at} IST. Current IST: ${istNow.toISOString()}. Skipping...`);
-                return;
+            const client = await Client.findById(campaign.client_id);
+            if (!client) return null;
+
+            const agent = await Agent.findById(campaign.agent_id);
+            if (!agent) return null;
+
+            // 1. Import new and edited rows every few minutes, not on every tick
+            if (campaign.source !== 'upload' && client.google_authorized && this.isImportDue(campaign)) {
+                try {
+                    await this.importContacts(campaign, client);
+                } catch (error) {
+                    // Keep dialing the contacts we already have
+                    console.error(`❌ Campaign ${campaign.name}: sheet import failed:`, error.message);
+                }
             }
 
-            // Check active hours (Relative to IST)
-            if (!this.isWithinActiveHours(campaign.active_hours)) {
-                console.log(`🌙 Campaign ${campaign.name} is outside active hours (${campaign.active_hours?.start} - ${campaign.active_hours?.end}). Skipping...`);
-                return;
+            await this.failStaleDials(campaign);
+
+            campaign.last_run_at = new Date();
+            await campaign.save();
+
+            // Stop for good once an end condition is met
+            const endReason = await this.checkEndConditions(campaign);
+            if (endReason) {
+                await this.completeCampaign(campaign, endReason);
+                return null;
             }
 
-            const client = await Client.findById(campaign.client_id);
-            if (!client || !client.google_authorized) return;
+            // 2. Only contacts whose local time is inside a calling window
+            const contactFilter = await this.getCallableContactFilter(campaign);
+            if (!contactFilter) {
+                console.log(`🌙 Campaign ${campaign.name} is outside its calling windows (${campaign.timezone}). Skipping...`);
+                return null;
+            }
 
-            const agent = await Agent.findById(campaign.agent_id);
-            if (!agent) return;
+            // 3. Work out how many calls it may start this tick
+            const capacity = await this.getDialCapacity(campaign);
 
-            const sheets = await googleSheetsService.createSheetsClient(client);
+            return capacity > 0 ? { campaign, agent, client, capacity, contactFilter } : null;
+        } catch (error) {
+            console.error(`❌ Campaign ${campaign.name} error:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Start calls one campaign at a time in turn, until every campaign has used its capacity
+     * for this tick, run out of contacts, or hit its client's cap on concurrent calls.
+     * Campaigns served least recently go first.
+     * @param {Array<Object>} slots - From processCampaign
+     * @param {AbortSignal} [signal] - Stop starting calls once aborted
+     * @returns {Promise<number>} Calls started
+     */
+    async dialRoundRobin(slots, signal = null) {
+        const clientCapacity = new Map();
+        for (const { client } of slots) {
+            const key = client._id.toString();
+            if (!clientCapacity.has(key)) {
+                clientCapacity.set(key, await this.getClientCapacity(client));
+            }
+        }
 
-            // 1. Get sheet info
-            const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId: campaign.google_sheet_id });
-            const firstSheet = spreadsheet.data.sheets[0];
-            const sheetName = firstSheet.properties.title;
+        let queue = [...slots].sort((a, b) =>
+            (a.campaign.last_dialed_at?.getTime() || 0) - (b.campaign.last_dialed_at?.getTime() || 0)
+        );
+        let dialed = 0;
 
-            // 2. Read all data
-            const rows = await googleSheetsService.readSheetData(client, campaign.google_sheet_id, `'${sheetName}'!A:ZZ`);
-            if (!rows || rows.length === 0) {
-                return;
+        while (queue.length > 0) {
+            const next = [];
+
+            for (const slot of queue) {
+                if (signal?.aborted) return dialed;
+
+                const key = slot.client._id.toString();
+                if (clientCapacity.get(key) <= 0) continue;
+
+                // No pending contacts left
+                if (!await this.dialNextContact(slot.campaign, slot.agent, slot.contactFilter, slot.client)) continue;
+
+                dialed++;
+                slot.capacity--;
+                clientCapacity.set(key, clientCapacity.get(key) - 1);
+
+                if (slot.capacity > 0) next.push(slot);
             }
 
-            const headers = rows[0];
-            const phoneIdx = headers.findIndex(h => h.toLowerCase() === campaign.phone_column_name.toLowerCase());
-            let execIdx = headers.findIndex(h => h.toLowerCase() === campaign.execution_column_name.toLowerCase());
+            queue = next;
+        }
+
+        return dialed;
+    }
 
-            if (phoneIdx === -1) {
-                console.error(`❌ Phone column "${campaign.phone_column_name}" not found in sheet`);
-                return;
+    /**
+     * Query for contacts whose call is live: being dialed, or started recently and not finished
+     * @param {Object} filter - Extra conditions (campaign_id or client_id)
+     */
+    liveCallQuery(filter) {
+        return {
+            ...filter,
+            $or: [
+                { status: 'dialing' },
+                {
+                    status: 'in_progress',
+                    outcome: { $nin: bolnaService.getTerminalStatuses() },
+                    last_attempt_at: { $gte: new Date(Date.now() - this.liveCallTimeoutMs) },
+                },
+            ],
+        };
+    }
+
+    /**
+     * Calls a campaign may start now, from its concurrent call limit, calls per minute, dial delay
+     * and the calls left before its max_calls end condition
+     * @returns {Promise<number>} Capacity (Infinity if unlimited)
+     */
+    async getDialCapacity(campaign) {
+        const now = Date.now();
+
+        let capacity = Infinity;
+
+        if (campaign.end_conditions?.max_calls) {
+            capacity = campaign.end_conditions.max_calls - (campaign.calls_started || 0);
+        }
+
+        if (campaign.max_concurrent_calls) {
+            const live = await CampaignContact.countDocuments(this.liveCallQuery({ campaign_id: campaign._id }));
+            capacity = Math.min(capacity, campaign.max_concurrent_calls - live);
+        }
+
+        // Spread the per-minute allowance over the ticks of a minute instead of bursting
+        if (campaign.calls_per_minute) {
+            const recent = await CampaignContact.countDocuments({
+                campaign_id: campaign._id,
+                status: { $ne: 'suppressed' },
+                last_attempt_at: { $gte: new Date(now - 60 * 1000) },
+            });
+            const perTick = Math.ceil(campaign.calls_per_minute * this.tickSeconds / 60);
+            capacity = Math.min(capacity, campaign.calls_per_minute - recent, perTick);
+        }
+
+        // Minimum gap between two calls: at most one per tick, once the gap has passed
+        if (campaign.dial_delay > 0) {
+            const sinceLast = campaign.last_dialed_at ? now - campaign.last_dialed_at.getTime() : Infinity;
+            capacity = Math.min(capacity, sinceLast >= campaign.dial_delay * 1000 ? 1 : 0);
+        }
+
+        return Math.max(capacity, 0);
+    }
+
+    /**
+     * Calls a client may start now across all its campaigns
+     */
+    async getClientCapacity(client) {
+        const limit = client.campaign_settings?.max_concurrent_calls || this.clientMaxConcurrentCalls;
+        const live = await CampaignContact.countDocuments(this.liveCallQuery({ client_id: client._id }));
+        return Math.max(limit - live, 0);
+    }
+
+    /**
+     * Whether the campaign sheet should be read again
+     */
+    isImportDue(campaign) {
+        return !campaign.last_imported_at
+            || Date.now() - new Date(campaign.last_imported_at).getTime() >= this.importIntervalMs;
+    }
+
+    /**
+     * Import the campaign sheet into CampaignContact. Rows are matched by a fingerprint of
+     * their own cells, so only new rows create contacts; rows edited in place keep their contact.
+     * Adds the status and retries columns to the sheet if they are missing.
+     * @param {Object} campaign - Campaign document (saved by the caller)
+     * @param {Object} client - Client document
+     * @returns {Promise<Object>} { rows, added, removed }
+     */
+    async importContacts(campaign, client) {
+        try {
+            if (!campaign.sheet_tab) {
+                const sheets = await googleSheetsService.createSheetsClient(client);
+                const spreadsheet = await sheets.spreadsheets.get({
+                    spreadsheetId: campaign.google_sheet_id,
+                    fields: 'sheets.properties.title',
+                });
+                campaign.sheet_tab = spreadsheet.data.sheets[0].properties.title;
             }
 
-            if (execIdx === -1) {
-                // We need to add the execution column header
-                execIdx = headers.length;
-                const colLetter = colIndexToLetter(execIdx);
-                await googleSheetsService.updateSheetCell(client, campaign.google_sheet_id, `'${sheetName}'!${colLetter}1`, campaign.execution_column_name);
-                headers[execIdx] = campaign.execution_column_name; // Update local headers array
+            const tab = campaign.sheet_tab;
+            const rows = await googleSheetsService.readSheetData(client, campaign.google_sheet_id, googleSheetsService.toRange(tab, 'A:ZZ'));
+            const headers = (rows[0] || []).map(header => String(header ?? '').trim());
+
+            const findColumn = (name) => this.findColumn(headers, name);
+
+            if (findColumn(campaign.phone_column_name) === -1) {
+                throw new Error(`Phone column "${campaign.phone_column_name}" not found in sheet`);
             }
 
-            let retryIdx = headers.findIndex(h => h.toLowerCase() === (campaign.retries_column_name || 'retries').toLowerCase());
-            if (retryIdx === -1) {
-                retryIdx = headers.length;
-                const colLetter = colIndexToLetter(retryIdx);
-                await googleSheetsService.updateSheetCell(client, campaign.google_sheet_id, `'${sheetName}'!${colLetter}1`, campaign.retries_column_name || 'retries');
+            // Add the write-back columns after the last header if they don't exist yet
+            const newHeaders = [];
+            const ensureColumn = (name) => {
+                let index = findColumn(name);
+                if (index === -1) {
+                    index = headers.length;
+                    headers.push(name);
+                    newHeaders.push({ range: googleSheetsService.toRange(tab, `${colIndexToLetter(index)}1`), values: [[name]] });
+                }
+                return index;
+            };
+
+            const execIdx = ensureColumn(campaign.execution_column_name || 'executions');
+            const retryIdx = ensureColumn(campaign.retries_column_name || 'retries');
+
+            if (newHeaders.length > 0) {
+                await googleSheetsService.batchUpdateCells(client, campaign.google_sheet_id, newHeaders);
             }
 
-            const execColLetter = colIndexToLetter(execIdx);
-            const retryColLetter = colIndexToLetter(retryIdx);
+            campaign.sheet_columns = {
+                status: colIndexToLetter(execIdx),
+                retries: colIndexToLetter(retryIdx),
+            };
+
+            const existing = await CampaignContact.find({ campaign_id: campaign._id })
+                .select('fingerprint row_number status raw_phone');
+            const byFingerprint = new Map(existing.map(contact => [contact.fingerprint, contact]));
+
+            const seen = new Set();
+            const occurrences = new Map();
+            const unmatched = [];
+            const updates = [];
 
-            // 3. Process rows
             for (let i = 1; i < rows.length; i++) {
                 const row = rows[i];
-                const phone = row[phoneIdx];
-                const execStatus = row[execIdx];
-
-                // If phone exists and no execution status yet
-                if (phone && (!execStatus || execStatus.trim() === '')) {
-                    const cleanedPhone = this.formatPhoneNumber(phone);
-                    if (!cleanedPhone) continue;
-
-                    console.log(`📞 Campaign ${campaign.name}: Found new number ${cleanedPhone}. Initiating call...`);
-
-                    try {
-                        // Update sheet early to prevent duplicate calls if script crashes
-                        await googleSheetsService.updateSheetCell(client, campaign.google_sheet_id, `'${sheetName}'!${execColLetter}${i + 1}`, 'Call Pending');
-
-                        const retryIntervals = Array(campaign.max_retries).fill(campaign.retry_interval_minutes);
-
-                        const retryConfig = {
-                            enabled: campaign.max_retries > 0,
-                            max_retries: Math.min(campaign.max_retries, 3), // AItelz limit is usually 3
-                            retry_on_statuses: ['no-answer', 'busy', 'failed', 'error'],
-                            retry_intervals_minutes: retryIntervals.slice(0, 3)
-                        };
-
-                        await bolnaService.initiateCall(agent.bolna_agent_id, cleanedPhone, retryConfig);
-
-                        // Mark as Call Send and reset retries to 0 for initial call
-                        await googleSheetsService.updateSheetCell(client, campaign.google_sheet_id, `'${sheetName}'!${execColLetter}${i + 1}`, 'Call Send');
-                        await googleSheetsService.updateSheetCell(client, campaign.google_sheet_id, `'${sheetName}'!${retryColLetter}${i + 1}`, 0);
-
-                        // Respect dial delay
-                        if (campaign.dial_delay > 0) {
-                            console.log(`⏱️ Waiting ${campaign.dial_delay}s before next call...`);
-                            await sleep(campaign.dial_delay * 1000);
-                        }
-                    } catch (err) {
-                        console.error(`❌ Campaign ${campaign.name}: Failed to call ${cleanedPhone}:`, err.message);
-                        await googleSheetsService.updateSheetCell(client, campaign.google_sheet_id, `'${sheetName}'!${execColLetter}${i + 1}`, `Failed: ${err.message}`);
+
+                // The row's own cells; our write-back columns change on every call
+                const cells = headers.map((_, index) =>
+                    index === execIdx || index === retryIdx ? '' : String(row[index] ?? '').trim()
+                );
+                if (cells.every(cell => cell === '')) continue;
+
+                const fingerprint = this.fingerprintRow(cells, occurrences);
+                const rowNumber = i + 1;
+                const contact = byFingerprint.get(fingerprint);
+
+                if (contact) {
+                    seen.add(fingerprint);
+
+                    // Moved rows, and rows put back after being deleted
+                    const set = {};
+                    if (contact.row_number !== rowNumber) set.row_number = rowNumber;
+                    if (contact.status === 'removed') set.status = 'pending';
+
+                    if (Object.keys(set).length > 0) {
+                        updates.push({ updateOne: { filter: { _id: contact._id }, update: { $set: set } } });
                     }
+                    continue;
                 }
+
+                unmatched.push({ fingerprint, rowNumber, row, cells });
             }
 
-            // 4. Update stats for the dashboard
-            let total = 0;
-            let pending = 0;
-            let completed = 0;
+            // Contacts whose row is gone; an edited row shows up as a new fingerprint at their row
+            const vanished = new Map(
+                existing
+                    .filter(contact => !seen.has(contact.fingerprint) && contact.row_number)
+                    .map(contact => [contact.row_number, contact])
+            );
 
-            for (let i = 1; i < rows.length; i++) {
-                const row = rows[i];
-                const phone = row[phoneIdx];
-                const status = row[execIdx] ? row[execIdx].toLowerCase() : '';
-
-                if (phone && phone.toString().trim() !== '') {
-                    total++;
-                    if (status === '' || status === 'call pending') {
-                        pending++;
-                    } else if (status.includes('completed') || status.includes('send')) {
-                        completed++;
+            const added = [];
+
+            for (const { fingerprint, rowNumber, row, cells } of unmatched) {
+                const { phone, ...fields } = this.buildContactFields(campaign, this.toRowData(headers, cells));
+
+                const edited = vanished.get(rowNumber);
+                if (edited && edited.raw_phone === fields.raw_phone) {
+                    vanished.delete(rowNumber);
+                    seen.add(edited.fingerprint);
+                    updates.push({ updateOne: { filter: { _id: edited._id }, update: { $set: { fingerprint, ...fields } } } });
+                    continue;
+                }
+
+                const sheetStatus = String(row[execIdx] ?? '').trim();
+
+                added.push({
+                    campaign_id: campaign._id,
+                    client_id: campaign.client_id,
+                    fingerprint,
+                    row_number: rowNumber,
+                    ...fields,
+                    phone,
+                    status: phone ? this.statusFromSheet(sheetStatus) : 'invalid',
+                    retry_attempt: parseInt(row[retryIdx]) || 0,
+                    sheet_status: sheetStatus || null,
+                });
+            }
+
+            // Rows deleted from the sheet: drop undialed contacts, keep the history of the others
+            let removed = 0;
+            existing
+                .filter(contact => !seen.has(contact.fingerprint) && (contact.row_number || contact.status === 'pending'))
+                .forEach(contact => {
+                    const set = { row_number: null };
+                    if (contact.status === 'pending') {
+                        set.status = 'removed';
+                        removed++;
                     }
+                    updates.push({ updateOne: { filter: { _id: contact._id }, update: { $set: set } } });
+                });
+
+            if (updates.length > 0) {
+                await CampaignContact.bulkWrite(updates, { ordered: false });
+            }
+
+            if (added.length > 0) {
+                try {
+                    await CampaignContact.insertMany(added, { ordered: false });
+                } catch (error) {
+                    // Another import inserted the same rows first
+                    if (error.code !== 11000) throw error;
                 }
             }
 
-            campaign.total_records = total;
-            campaign.pending_records = pending;
-            campaign.completed_records = completed;
-            campaign.last_run_at = new Date();
-            await campaign.save();
+            campaign.last_imported_at = new Date();
+            campaign.import_error = null;
 
+            if (added.length > 0 || removed > 0) {
+                console.log(`📥 Campaign ${campaign.name}: imported ${added.length} new contact(s), removed ${removed} (${rows.length - 1} rows)`);
+            }
+
+            return { rows: Math.max(rows.length - 1, 0), added: added.length, removed };
         } catch (error) {
-            console.error(`❌ Campaign ${campaign.name} error:`, error.message);
+            // The tab may have been renamed: look it up again next time
+            campaign.sheet_tab = null;
+            campaign.last_imported_at = new Date();
+            campaign.import_error = error.message;
             throw error;
         }
     }
 
-    // Sync statuses of pending calls from executions db back to the sheet
-    async syncCampaignStatuses() {
-        const campaigns = await Campaign.find({ status: 'active' });
+    /**
+     * Add the contacts of an uploaded CSV/Excel file to a campaign. Rows already imported
+     * (same cells) are skipped, so a file can be re-uploaded with new rows appended.
+     * @param {Object} campaign - Campaign document (source: upload)
+     * @param {Array<string>} headers - Header row of the file
+     * @param {Array<Array<string>>} rows - Data rows
+     * @returns {Promise<Object>} { rows, added, invalid, skipped }
+     */
+    async importUploadedContacts(campaign, headers, rows) {
+        const existing = await CampaignContact.find({ campaign_id: campaign._id })
+            .select('fingerprint row_number');
+        const fingerprints = new Set(existing.map(contact => contact.fingerprint));
+        let rowNumber = existing.reduce((max, contact) => Math.max(max, contact.row_number || 0), 0);
+
+        const occurrences = new Map();
+        const added = [];
+
+        for (const row of rows) {
+            const cells = headers.map((_, index) => String(row[index] ?? '').trim());
+            const fingerprint = this.fingerprintRow(cells, occurrences);
+            if (fingerprints.has(fingerprint)) continue;
+
+            const fields = this.buildContactFields(campaign, this.toRowData(headers, cells));
+
+            added.push({
+                campaign_id: campaign._id,
+                client_id: campaign.client_id,
+                fingerprint,
+                row_number: ++rowNumber,
+                ...fields,
+                status: fields.phone ? 'pending' : 'invalid',
+            });
+        }
+
+        let inserted = added;
+        if (added.length > 0) {
+            try {
+                await CampaignContact.insertMany(added, { ordered: false });
+            } catch (error) {
+                // A concurrent upload inserted some of the same rows first
+                if (error.code !== 11000) throw error;
+                inserted = error.insertedDocs || [];
+            }
+        }
+
+        const invalid = inserted.filter(contact => contact.status === 'invalid').length;
+        console.log(`📥 Campaign ${campaign.name}: imported ${inserted.length} contact(s) from upload (${invalid} without a valid number)`);
+
+        return { rows: rows.length, added: inserted.length, invalid, skipped: rows.length - inserted.length };
+    }
+
+    /**
+     * Index of a header, ignoring case and surrounding spaces (-1 if missing)
+     */
+    findColumn(headers, name) {
+        if (!name) return -1;
+        return headers.findIndex(header => String(header ?? '').trim().toLowerCase() === name.trim().toLowerCase());
+    }
+
+    /**
+     * Fingerprint of a row's cells; identical rows get an occurrence suffix so each is its own contact
+     * @param {Array<string>} cells - Trimmed cell values
+     * @param {Map} occurrences - Hash -> times seen so far in this import
+     */
+    fingerprintRow(cells, occurrences) {
+        const hash = crypto.createHash('sha1').update(JSON.stringify(cells)).digest('hex');
+        const occurrence = (occurrences.get(hash) || 0) + 1;
+        occurrences.set(hash, occurrence);
+        return `${hash}:${occurrence}`;
+    }
+
+    /**
+     * Non-empty cells of a row by header
+     */
+    toRowData(headers, cells) {
+        const rowData = {};
+        headers.forEach((header, index) => {
+            if (header && cells[index] !== '') rowData[header] = cells[index];
+        });
+        return rowData;
+    }
+
+    /**
+     * Contact fields from a row, using the campaign's phone and name columns and variable mapping
+     * @param {Object} campaign - Campaign document
+     * @param {Object} rowData - Non-empty cells by header (see toRowData)
+     * @returns {Object} { row_data, raw_phone, phone, name, variables, timezones }
+     */
+    buildContactFields(campaign, rowData) {
+        const headers = Object.keys(rowData);
+        const cell = (name) => {
+            const index = this.findColumn(headers, name);
+            return index === -1 ? null : rowData[headers[index]];
+        };
+
+        const variables = {};
+        (campaign.variable_mapping || []).forEach(({ column, variable }) => {
+            const value = cell(column);
+            if (value !== null) variables[variable] = value;
+        });
+
+        const rawPhone = cell(campaign.phone_column_name);
+        const phone = rawPhone ? this.formatPhoneNumber(rawPhone) : null;
+
+        // The contact's own zone; unknown zones fall back to the campaign's
+        let timezones = [];
+        if (campaign.contact_timezone?.mode === 'column') {
+            const zone = cell(campaign.contact_timezone.column);
+            if (timezoneService.isValidTimezone(zone)) timezones = [zone];
+        } else if (campaign.contact_timezone?.mode === 'phone_prefix' && phone) {
+            timezones = timezoneService.getPhoneTimezones(phone);
+        }
+
+        return {
+            row_data: rowData,
+            raw_phone: rawPhone,
+            phone,
+            name: cell(campaign.name_column_name),
+            variables,
+            timezones,
+        };
+    }
+
+    /**
+     * Re-read the name, variables and time zones of contacts not dialed yet, after the
+     * campaign's column mapping or contact time zone setting changed
+     * @returns {Promise<number>} Number of contacts updated
+     */
+    async refreshPendingContacts(campaign) {
+        const contacts = await CampaignContact.find({ campaign_id: campaign._id, status: 'pending' })
+            .select('row_data');
+
+        const updates = contacts.map(contact => {
+            const { name, variables, timezones } = this.buildContactFields(campaign, contact.row_data || {});
+            return { updateOne: { filter: { _id: contact._id }, update: { $set: { name, variables, timezones } } } };
+        });
+
+        if (updates.length > 0) {
+            await CampaignContact.bulkWrite(updates, { ordered: false });
+        }
+        return updates.length;
+    }
+
+    /**
+     * Variables sent with a contact's call: its name plus the mapped columns
+     */
+    getCallVariables(contact) {
+        const variables = { ...(contact.variables || {}) };
+        if (contact.name && variables.name === undefined) {
+            variables.name = contact.name;
+        }
+        return variables;
+    }
+
+    /**
+     * Dial state of a row imported with a status already in the sheet (campaigns from before
+     * contacts were stored), so it isn't dialed again
+     */
+    statusFromSheet(sheetStatus) {
+        const status = sheetStatus.toLowerCase();
+
+        if (status === '') return 'pending';
+        if (status.includes('completed')) return 'completed';
+        if (status.startsWith('failed') || status === 'call failed') return 'failed';
+        return 'in_progress';
+    }
+
+    /**
+     * Contacts stuck in "dialing" (worker crashed mid-call) are failed rather than dialed twice
+     */
+    async failStaleDials(campaign) {
+        const result = await CampaignContact.updateMany(
+            {
+                campaign_id: campaign._id,
+                status: 'dialing',
+                last_attempt_at: { $lt: new Date(Date.now() - this.dialingTimeoutMs) },
+            },
+            {
+                $set: {
+                    status: 'failed',
+                    last_error: 'Interrupted while dialing',
+                    sheet_status: 'Call Failed',
+                    sheet_dirty: true,
+                },
+            }
+        );
+
+        if (result.modifiedCount > 0) {
+            console.warn(`⚠️  Campaign ${campaign.name}: ${result.modifiedCount} contact(s) interrupted while dialing`);
+        }
+    }
+
+    /**
+     * Call the next pending contact of a campaign, in sheet order
+     * @param {Object} campaign - Campaign document
+     * @param {Object} agent - Agent document
+     * @param {Object} [contactFilter] - Extra conditions, e.g. from getCallableContactFilter
+     * @param {Object} [client] - Client document, for its duplicate cooldown
+     * @returns {Promise<boolean>} false if there was no pending contact
+     */
+    async dialNextContact(campaign, agent, contactFilter = {}, client = null) {
+        // Numbers on the Do-Not-Call list or already called are skipped, not dialed
+        let contact;
+        while ((contact = await this.claimNextContact(campaign, contactFilter))) {
+            if (await this.suppressContact(campaign, contact)) continue;
+            if (!await this.skipDuplicate(campaign, contact, client)) break;
+        }
+        if (!contact) return false;
+
+        console.log(`📞 Campaign ${campaign.name}: Found new number ${contact.phone}. Initiating call...`);
+
+        campaign.last_dialed_at = new Date();
+        await Campaign.updateOne({ _id: campaign._id }, { $set: { last_dialed_at: campaign.last_dialed_at } });
+
+        contact.retry_attempt = contact.attempts - 1;
+        contact.outcome = null;
+
+        try {
+            // Retries are scheduled by syncContactOutcomes, so none are requested from AItelz
+            const callVariables = this.getCallVariables(contact);
+            const response = await bolnaService.initiateCall(agent.bolna_agent_id, contact.phone, {}, callVariables);
+            const executionId = bolnaService.getExecutionIdFromResponse(response);
+
+            if (executionId) {
+                contact.execution_ids.push(executionId);
+                await this.registerExecution(executionId, campaign, agent, contact.phone, callVariables);
+            }
+            await Campaign.updateOne({ _id: campaign._id }, { $inc: { calls_started: 1 } });
+
+            contact.status = 'in_progress';
+            contact.sheet_status = 'Call Send';
+        } catch (err) {
+            console.error(`❌ Campaign ${campaign.name}: Failed to call ${contact.phone}:`, err.message);
+            contact.outcome = 'error';
+            contact.last_error = err.message;
+            contact.sheet_status = `Failed: ${err.message}`;
+            if (!this.scheduleRetry(campaign, contact, 'failed')) {
+                contact.status = 'failed';
+            }
+        }
+
+        contact.sheet_dirty = true;
+        await contact.save();
+        return true;
+    }
+
+    /**
+     * Claim the next due pending contact so it can't be dialed twice
+     * @returns {Promise<Object|null>} The contact, now "dialing"
+     */
+    async claimNextContact(campaign, contactFilter) {
+        return CampaignContact.findOneAndUpdate(
+            {
+                ...contactFilter,
+                campaign_id: campaign._id,
+                status: 'pending',
+                $or: [{ next_attempt_at: null }, { next_attempt_at: { $lte: new Date() } }],
+            },
+            {
+                $set: { status: 'dialing', last_attempt_at: new Date(), last_error: null, next_attempt_at: null },
+                $inc: { attempts: 1 },
+            },
+            { sort: { row_number: 1 }, new: true }
+        );
+    }
+
+    /**
+     * Settle a claimed contact without calling it if its number is on the Do-Not-Call list
+     * @returns {Promise<boolean>} Whether the contact was suppressed
+     */
+    async suppressContact(campaign, contact) {
+        const entry = await dncService.checkSuppression(campaign.client_id, contact.phone, `Campaign ${campaign.name}`);
+        if (!entry) return false;
+
+        contact.status = 'suppressed';
+        contact.attempts -= 1;
+        contact.last_error = `On the Do-Not-Call list since ${entry.created_at.toISOString().split('T')[0]}`;
+        contact.sheet_status = 'Do Not Call';
+        contact.sheet_dirty = true;
+        await contact.save();
+        return true;
+    }
+
+    /**
+     * Another contact a number was already called (or is queued first) for: in the same campaign,
+     * or in another of the client's campaigns within the cooldown. Only first calls are checked,
+     * so a contact's own retries go ahead.
+     * @param {Object} campaign - Campaign document
+     * @param {Object} contact - Claimed contact
+     * @param {number|null} cooldownHours - Client's cross-campaign cooldown
+     * @returns {Promise<Object|null>} { reason: 'campaign' | 'cooldown', contact }
+     */
+    async findDuplicate(campaign, contact, cooldownHours) {
+        if (contact.attempts > 1) return null;
+
+        const sameCampaign = await CampaignContact.findOne({
+            campaign_id: campaign._id,
+            phone: contact.phone,
+            _id: { $ne: contact._id },
+            status: { $nin: ['duplicate', 'removed', 'invalid', 'suppressed'] },
+            $or: [{ attempts: { $gt: 0 } }, { row_number: { $lt: contact.row_number } }],
+        }).select('campaign_id row_number');
+        if (sameCampaign) {
+            return { reason: 'campaign', contact: sameCampaign };
+        }
+
+        if (!cooldownHours) return null;
+
+        const otherCampaign = await CampaignContact.findOne({
+            client_id: contact.client_id,
+            phone: contact.phone,
+            campaign_id: { $ne: campaign._id },
+            attempts: { $gt: 0 },
+            last_attempt_at: { $gte: new Date(Date.now() - cooldownHours * 60 * 60 * 1000) },
+        }).select('campaign_id row_number');
+
+        return otherCampaign ? { reason: 'cooldown', contact: otherCampaign } : null;
+    }
+
+    /**
+     * Settle a claimed contact without calling it if its number was already called
+     * @returns {Promise<boolean>} Whether the contact was skipped
+     */
+    async skipDuplicate(campaign, contact, client) {
+        const cooldownHours = client?.campaign_settings?.duplicate_cooldown_hours || null;
+        const duplicate = await this.findDuplicate(campaign, contact, cooldownHours);
+        if (!duplicate) return false;
+
+        contact.status = 'duplicate';
+        contact.attempts -= 1;
+        contact.last_attempt_at = null;
+        contact.duplicate_of = duplicate.contact._id;
+        contact.duplicate_reason = duplicate.reason;
+        contact.last_error = duplicate.reason === 'campaign'
+            ? `Same number as row ${duplicate.contact.row_number ?? '(removed)'}`
+            : `Called by another campaign in the last ${cooldownHours} hour(s)`;
+        contact.sheet_status = 'Duplicate';
+        contact.sheet_dirty = true;
+        await contact.save();
+
+        console.log(`⏭️ Campaign ${campaign.name}: skipped duplicate number ${contact.phone} (${duplicate.reason})`);
+        return true;
+    }
+
+    /**
+     * Record a campaign call as an execution right away, so it's tagged before the next sync
+     */
+    async registerExecution(executionId, campaign, agent, phone, callVariables) {
+        try {
+            await Execution.findOneAndUpdate(
+                { bolna_execution_id: executionId },
+                {
+                    $set: { source: 'campaign', campaign_id: campaign._id, call_variables: callVariables },
+                    $setOnInsert: {
+                        bolna_execution_id: executionId,
+                        agent_id: agent._id,
+                        status: 'pending',
+                        to_number: phone,
+                        started_at: new Date(),
+                    },
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            // The sync picks the execution up anyway
+            console.error(`Error registering campaign execution ${executionId}:`, error.message);
+        }
+    }
+
+    /**
+     * Retry rule of a campaign for an outcome (a key of retry_policy.outcomes)
+     * @returns {Object|null} { maxRetries, delayMinutes }, or null if the outcome isn't retried
+     */
+    getRetryRule(campaign, outcomeKey) {
+        const rule = outcomeKey && campaign.retry_policy?.outcomes?.[outcomeKey];
+        if (!rule || !rule.enabled) return null;
+
+        return {
+            maxRetries: rule.max_retries ?? campaign.max_retries ?? 0,
+            delayMinutes: rule.delay_minutes ?? campaign.retry_interval_minutes ?? 30,
+        };
+    }
+
+    /**
+     * Delay before a retry: fixed, or doubling with each retry up to max_delay_minutes
+     * @param {number} retryNumber - 1 for the first retry
+     */
+    getRetryDelayMinutes(campaign, rule, retryNumber) {
+        if (campaign.retry_policy?.backoff !== 'exponential') {
+            return rule.delayMinutes;
+        }
+
+        const maxDelay = campaign.retry_policy.max_delay_minutes || 24 * 60;
+        return Math.min(rule.delayMinutes * Math.pow(2, retryNumber - 1), Math.max(maxDelay, rule.delayMinutes));
+    }
+
+    /**
+     * First time at or after `from` when a contact's calling windows are open (within 8 days).
+     * That's `from` itself or a window start or local midnight in one of its zones.
+     * @returns {Date} `from` if no open time is found
+     */
+    getNextCallableTime(campaign, timezones, from) {
+        const zones = timezones.length > 0 ? timezones : [campaign.timezone || 'Asia/Kolkata'];
+        const starts = ['00:00', ...this.getCallingWindows(campaign).map(window => window.start)];
+
+        const candidates = [from];
+        zones.forEach(zone => {
+            const local = timezoneService.getLocalTime(from, zone);
+            for (let offset = 0; offset <= 8; offset++) {
+                const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset)).toISOString().slice(0, 10);
+                starts.forEach(start => {
+                    const candidate = timezoneService.parseLocalDateTime(`${day}T${start}`, zone);
+                    if (candidate && candidate > from) candidates.push(candidate);
+                });
+            }
+        });
+
+        candidates.sort((a, b) => a - b);
+        return candidates.find(candidate => this.isCallableNow(campaign, timezones, candidate)) || from;
+    }
+
+    /**
+     * Put a contact back in the queue after an unsuccessful call, if its campaign's retry policy
+     * for the outcome allows another retry
+     * @param {Object} campaign - Campaign document
+     * @param {Object} contact - CampaignContact document (not saved)
+     * @param {string|null} outcomeKey - Key of retry_policy.outcomes
+     * @returns {boolean} Whether a retry was scheduled
+     */
+    scheduleRetry(campaign, contact, outcomeKey) {
+        const rule = this.getRetryRule(campaign, outcomeKey);
+        if (!rule || contact.retry_attempt >= rule.maxRetries) return false;
+
+        const delayMinutes = this.getRetryDelayMinutes(campaign, rule, contact.retry_attempt + 1);
+        const dueAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+
+        contact.status = 'pending';
+        contact.next_attempt_at = this.getNextCallableTime(campaign, contact.timezones || [], dueAt);
+        return true;
+    }
+
+    /**
+     * Whether a completed call reached voicemail (per the provider, or the call analysis)
+     */
+    isVoicemail(execution) {
+        return execution.metadata?.telephony_data?.answered_by_voice_mail === true
+            || execution.metadata?.answered_by_voice_mail === true
+            || execution.analysis?.disposition === 'voicemail';
+    }
+
+    // Update contacts from their executions and mirror changes to the sheet. Campaigns that
+    // just completed are kept in sync until their last calls have finished.
+    async syncCampaignStatuses(signal = null) {
+        const campaigns = await Campaign.find({
+            $or: [
+                { status: 'active' },
+                { status: 'completed', completed_at: { $gte: new Date(Date.now() - this.liveCallTimeoutMs) } },
+            ],
+        });
 
         for (const campaign of campaigns) {
+            if (signal?.aborted) return;
+
             try {
+                await this.syncContactOutcomes(campaign);
+
                 const client = await Client.findById(campaign.client_id);
-                if (!client || !client.google_authorized) continue;
+                if (client && client.google_authorized) {
+                    await this.writeBackContacts(campaign, client);
+                }
 
-                const sheets = await googleSheetsService.createSheetsClient(client);
-                const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId: campaign.google_sheet_id });
-                const sheetName = spreadsheet.data.sheets[0].properties.title;
+                await this.updateStats(campaign);
+            } catch (err) {
+                console.error(`❌ Failed to sync statuses for campaign ${campaign.name}:`, err.message);
+            }
+        }
+    }
+
+    /**
+     * Look up the latest execution of every in-progress contact (in one query) and update
+     * its outcome. Executions are matched by ID, or by number when the call response had none,
+     * and must have started after the contact's last attempt.
+     * Unsuccessful calls are retried as the campaign's retry policy allows, otherwise the
+     * contact is settled.
+     */
+    async syncContactOutcomes(campaign) {
+        const contacts = await CampaignContact.find({ campaign_id: campaign._id, status: 'in_progress' });
+        if (contacts.length === 0) return;
 
-                const rows = await googleSheetsService.readSheetData(client, campaign.google_sheet_id, `'${sheetName}'!A:ZZ`);
-                if (!rows || rows.length < 2) continue;
+        const executions = await Execution.find({
+            agent_id: campaign.agent_id,
+            $or: [
+                { bolna_execution_id: { $in: contacts.flatMap(contact => contact.execution_ids) } },
+                { to_number: { $in: contacts.map(contact => contact.phone) } },
+            ],
+        })
+            .sort({ started_at: 1 })
+            .select([
+                'bolna_execution_id', 'to_number', 'status', 'started_at', 'campaign_id', 'analysis.disposition',
+                'metadata.answered_by_voice_mail', 'metadata.telephony_data.answered_by_voice_mail',
+            ].join(' '));
 
-                const headers = rows[0];
-                const phoneIdx = headers.findIndex(h => h.trim().toLowerCase() === campaign.phone_column_name.trim().toLowerCase());
-                const execIdx = headers.findIndex(h => h.trim().toLowerCase() === campaign.execution_column_name.trim().toLowerCase());
+        const byNumber = new Map();
+        executions.forEach(execution => {
+            if (!byNumber.has(execution.to_number)) byNumber.set(execution.to_number, []);
+            byNumber.get(execution.to_number).push(execution);
+        });
+        const byId = new Map(executions.map(execution => [execution.bolna_execution_id, execution]));
 
-                if (phoneIdx === -1 || execIdx === -1) continue;
+        // Executions may be timestamped slightly before we recorded the attempt
+        const skewMs = 60 * 1000;
 
-                let retryIdx = headers.findIndex(h => h.trim().toLowerCase() === (campaign.retries_column_name || 'retries').trim().toLowerCase());
-                if (retryIdx === -1) {
-                    // Try to add it if it's missing during sync
-                    retryIdx = headers.length;
-                    const colLetter = colIndexToLetter(retryIdx);
-                    await googleSheetsService.updateSheetCell(client, campaign.google_sheet_id, `'${sheetName}'!${colLetter}1`, campaign.retries_column_name || 'retries');
+        for (const contact of contacts) {
+            const since = contact.last_attempt_at ? contact.last_attempt_at.getTime() - skewMs : null;
+
+            // Only executions of the current attempt count, however they were matched: an earlier
+            // attempt's execution must not settle (or retry) the contact again
+            const matches = [...new Set([
+                ...contact.execution_ids.map(id => byId.get(id)).filter(Boolean),
+                ...(byNumber.get(contact.phone) || []),
+            ])]
+                .filter(execution => !since || (execution.started_at && execution.started_at.getTime() >= since))
+                .sort((a, b) => (a.started_at?.getTime() || 0) - (b.started_at?.getTime() || 0));
+            if (matches.length === 0) continue;
+
+            matches.forEach(execution => {
+                if (!contact.execution_ids.includes(execution.bolna_execution_id)) {
+                    contact.execution_ids.push(execution.bolna_execution_id);
                 }
+            });
 
-                const execColLetter = colIndexToLetter(execIdx);
-                const retryColLetter = colIndexToLetter(retryIdx);
-
-                for (let i = 1; i < rows.length; i++) {
-                    const row = rows[i];
-                    const phone = row[phoneIdx];
-                    const status = row[execIdx];
-
-                    // Check if phone exists and status is neither empty nor 'completed'
-                    // We want to keep syncing "busy", "failed", etc. because Bolna might be retrying them
-                    if (phone && status && !status.toLowerCase().includes('completed')) {
-                        const cleanedPhone = this.formatPhoneNumber(phone);
-                        if (!cleanedPhone) continue;
-
-                        const latestExecution = await Execution.findOne({
-                            agent_id: campaign.agent_id,
-                            to_number: cleanedPhone
-                        }).sort({ started_at: -1 });
-
-                        if (latestExecution) {
-                            let friendlyStatus = status;
-                            switch (latestExecution.status.toLowerCase()) {
-                                case 'completed':
-                                    friendlyStatus = 'Call Completed';
-                                    break;
-                                case 'no-answer':
-                                    friendlyStatus = "Didn't pick it up";
-                                    break;
-                                case 'busy':
-                                    friendlyStatus = 'Number Busy';
-                                    break;
-                                case 'failed':
-                                case 'error':
-                                    friendlyStatus = 'Call Failed';
-                                    break;
-                            }
-
-                            if (friendlyStatus !== status) {
-                                await googleSheetsService.updateSheetCell(client, campaign.google_sheet_id, `'${sheetName}'!${execColLetter}${i + 1}`, friendlyStatus);
-                            }
-
-                            // Also sync retry count
-                            const currentRetryValue = row[retryIdx];
-                            const executionRetryCount = latestExecution.retry_attempt || 0;
-
-                            if (parseInt(currentRetryValue) !== executionRetryCount) {
-                                await googleSheetsService.updateSheetCell(client, campaign.google_sheet_id, `'${sheetName}'!${retryColLetter}${i + 1}`, executionRetryCount);
-                            }
-                        }
-                    }
+            // Tag executions matched by number, so their cost counts towards the campaign
+            const untagged = matches.filter(execution => !execution.campaign_id).map(execution => execution._id);
+            if (untagged.length > 0) {
+                await Execution.updateMany({ _id: { $in: untagged } }, { $set: { campaign_id: campaign._id } });
+            }
+
+            const latest = matches[matches.length - 1];
+            const outcome = (latest.status || '').toLowerCase();
+            const voicemail = outcome === 'completed' && this.isVoicemail(latest);
+
+            const sheetStatus = SHEET_STATUSES[voicemail ? 'voicemail' : outcome] || contact.sheet_status;
+            if (sheetStatus !== contact.sheet_status) {
+                contact.sheet_dirty = true;
+            }
+
+            contact.outcome = voicemail ? 'voicemail' : outcome;
+            contact.sheet_status = sheetStatus;
+
+            if (outcome === 'completed' && !voicemail) {
+                contact.status = 'completed';
+            } else if (bolnaService.isTerminalStatus(outcome)) {
+                const outcomeKey = voicemail ? 'voicemail' : RETRY_OUTCOMES[outcome];
+                if (!this.scheduleRetry(campaign, contact, outcomeKey)) {
+                    contact.status = voicemail ? 'completed' : 'failed';
                 }
-            } catch (err) {
-                console.error(`❌ Failed to sync statuses for campaign ${campaign.name}:`, err.message);
             }
+
+            if (contact.isModified()) {
+                await contact.save();
+            }
+        }
+    }
+
+    /**
+     * Write changed statuses and retry counts to the sheet, a batch of rows per request
+     */
+    async writeBackContacts(campaign, client) {
+        if (campaign.source === 'upload' || !campaign.sheet_tab || !campaign.sheet_columns?.status) return 0;
+
+        const dirty = await CampaignContact.find({
+            campaign_id: campaign._id,
+            sheet_dirty: true,
+            row_number: { $ne: null },
+        }).select('row_number sheet_status retry_attempt');
+
+        const { status: statusColumn, retries: retriesColumn } = campaign.sheet_columns;
+        let written = 0;
+
+        for (let i = 0; i < dirty.length; i += this.writeBackBatchSize) {
+            const batch = dirty.slice(i, i + this.writeBackBatchSize);
+
+            const data = batch.flatMap(contact => [
+                {
+                    range: googleSheetsService.toRange(campaign.sheet_tab, `${statusColumn}${contact.row_number}`),
+                    values: [[contact.sheet_status || '']],
+                },
+                {
+                    range: googleSheetsService.toRange(campaign.sheet_tab, `${retriesColumn}${contact.row_number}`),
+                    values: [[contact.retry_attempt]],
+                },
+            ]);
+
+            await googleSheetsService.batchUpdateCells(client, campaign.google_sheet_id, data);
+
+            // Only clear rows that didn't change again while we were writing
+            await CampaignContact.bulkWrite(batch.map(contact => ({
+                updateOne: {
+                    filter: { _id: contact._id, sheet_status: contact.sheet_status, retry_attempt: contact.retry_attempt },
+                    update: { $set: { sheet_dirty: false } },
+                },
+            })), { ordered: false });
+
+            written += batch.length;
+        }
+
+        if (written > 0) {
+            console.log(`📝 Campaign ${campaign.name}: wrote ${written} status update(s) to the sheet`);
+        }
+        return written;
+    }
+
+    /**
+     * Count contacts by dial state
+     * @returns {Promise<Object>} Status -> count
+     */
+    async getContactCounts(campaignId) {
+        const breakdown = await CampaignContact.aggregate([
+            { $match: { campaign_id: campaignId } },
+            { $group: { _id: '$status', count: { $sum: 1 } } },
+        ]);
+
+        const counts = {};
+        breakdown.forEach(item => {
+            counts[item._id] = item.count;
+        });
+        return counts;
+    }
+
+    /**
+     * Total cost of a campaign's calls
+     */
+    async getCampaignCost(campaignId) {
+        const [result] = await Execution.aggregate([
+            { $match: { campaign_id: campaignId } },
+            { $group: { _id: null, total: { $sum: '$total_cost' } } },
+        ]);
+        return result ? result.total : 0;
+    }
+
+    /**
+     * Update the dashboard counters and total cost of a campaign from its contacts and calls
+     */
+    async updateStats(campaign) {
+        const counts = await this.getContactCounts(campaign._id);
+        const count = (...statuses) => statuses.reduce((sum, status) => sum + (counts[status] || 0), 0);
+
+        const stats = {
+            total_records: count('pending', 'dialing', 'in_progress', 'completed', 'failed', 'invalid', 'suppressed', 'duplicate'),
+            pending_records: count('pending', 'dialing'),
+            completed_records: count('in_progress', 'completed', 'failed'),
+            suppressed_records: count('suppressed'),
+            duplicate_records: count('duplicate'),
+            total_cost: await this.getCampaignCost(campaign._id),
+        };
+
+        await Campaign.updateOne({ _id: campaign._id }, { $set: stats });
+        return stats;
+    }
+
+    /**
+     * Which end condition of a campaign is met, if any
+     * @returns {Promise<string|null>} Completion reason
+     */
+    async checkEndConditions(campaign) {
+        const conditions = campaign.end_conditions || {};
+
+        if (conditions.end_at && new Date() >= conditions.end_at) {
+            return 'end_date';
+        }
+
+        if (conditions.max_calls && (campaign.calls_started || 0) >= conditions.max_calls) {
+            return 'max_calls';
+        }
+
+        if (conditions.max_cost && (campaign.total_cost || 0) >= conditions.max_cost) {
+            return 'budget';
+        }
+
+        if (conditions.all_contacts_done) {
+            const counts = await this.getContactCounts(campaign._id);
+            const open = ['pending', 'dialing', 'in_progress'].some(status => counts[status] > 0);
+            const done = ['completed', 'failed', 'invalid', 'suppressed', 'duplicate'].some(status => counts[status] > 0);
+            if (!open && done) return 'all_contacts_done';
+        }
+
+        return null;
+    }
+
+    /**
+     * Mark an active campaign as completed and email its client
+     * @param {Object} campaign - Campaign document
+     * @param {string} reason - Key of COMPLETION_REASONS
+     * @returns {Promise<boolean>} false if the campaign was no longer active
+     */
+    async completeCampaign(campaign, reason) {
+        const completed = await Campaign.findOneAndUpdate(
+            { _id: campaign._id, status: 'active' },
+            { $set: { status: 'completed', completed_at: new Date(), completed_reason: reason } },
+            { new: true }
+        );
+        if (!completed) return false;
+
+        console.log(`🏁 Campaign ${completed.name} completed: ${COMPLETION_REASONS[reason]}`);
+
+        try {
+            const client = await Client.findById(completed.client_id).select('email');
+            if (client && client.email) {
+                const counts = await this.getContactCounts(completed._id);
+                await sendCampaignCompletedEmail(client.email, {
+                    campaignName: completed.name,
+                    reason: COMPLETION_REASONS[reason],
+                    stats: {
+                        'Contacts': completed.total_records,
+                        'Calls started': completed.calls_started,
+                        'Completed': counts.completed || 0,
+                        'Failed': counts.failed || 0,
+                        'Still in progress': counts.in_progress || 0,
+                        'Skipped (Do-Not-Call)': counts.suppressed || 0,
+                        'Skipped (duplicate)': counts.duplicate || 0,
+                        'Total cost': Number(completed.total_cost || 0).toFixed(2),
+                    },
+                });
+            }
+        } catch (error) {
+            console.error(`Error notifying completion of campaign ${completed.name}:`, error.message);
+        }
+
+        return true;
+    }
+
+    /**
+     * Weekly calling windows of a campaign; without any, its daily active hours on every day
+     */
+    getCallingWindows(campaign) {
+        if (campaign.calling_windows && campaign.calling_windows.length > 0) {
+            return campaign.calling_windows;
         }
+
+        return [{
+            days: [0, 1, 2, 3, 4, 5, 6],
+            start: campaign.active_hours?.start || '00:00',
+            end: campaign.active_hours?.end || '23:59',
+        }];
+    }
+
+    /**
+     * Whether a contact in the given zones may be called now: the windows must be open in each
+     * @param {Object} campaign - Campaign document
+     * @param {Array<string>} timezones - Contact zones; empty = the campaign's zone
+     * @param {Date} [now]
+     */
+    isCallableNow(campaign, timezones, now = new Date()) {
+        const zones = timezones.length > 0 ? timezones : [campaign.timezone || 'Asia/Kolkata'];
+        const windows = this.getCallingWindows(campaign);
+
+        return zones.every(zone =>
+            timezoneService.isWithinWindows(now, zone, windows, campaign.blackout_dates || [])
+        );
     }
 
     /**
-     * Check if current time is within campaign active hours
+     * Query conditions selecting the pending contacts that may be called now
+     * @returns {Promise<Object|null>} Filter, or null if no contact may be called now
      */
-    isWithinActiveHours(hours) {
-        if (!hours || !hours.start || !hours.end) return true;
+    async getCallableContactFilter(campaign) {
+        const now = new Date();
+        const campaignOpen = this.isCallableNow(campaign, [], now);
 
-        const istNow = this.getISTDate();
-        // Use UTC methods on the offset date to get IST numbers
-        const currentTime = istNow.getUTCHours() * 60 + istNow.getUTCMinutes();
+        if (!campaign.contact_timezone || campaign.contact_timezone.mode === 'campaign') {
+            return campaignOpen ? {} : null;
+        }
 
-        const [startH, startM] = hours.start.split(':').map(Number);
-        const [endH, endM] = hours.end.split(':').map(Number);
+        const zones = await CampaignContact.distinct('timezones', { campaign_id: campaign._id, status: 'pending' });
+        const openZones = zones.filter(zone => this.isCallableNow(campaign, [zone], now));
 
-        const startTime = startH * 60 + startM;
-        const endTime = endH * 60 + endM;
+        if (!campaignOpen && openZones.length === 0) {
+            return null;
+        }
 
-        return currentTime >= startTime && currentTime <= endTime;
+        // Every zone of the contact must be open; contacts without zones follow the campaign's
+        const filter = { timezones: { $not: { $elemMatch: { $nin: openZones } } } };
+        if (!campaignOpen) {
+            filter['timezones.0'] = { $exists: true };
+        }
+        return filter;
     }
 
     /**
@@ -0,0 +1,141 @@
+/**
+ * Reads contact lists uploaded as CSV or Excel files for campaigns that don't use Google Sheets
+ */
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx'];
+
+class ContactFileService {
+    constructor() {
+        this.maxFileBytes = 10 * 1024 * 1024;
+        this.maxRows = 50000;
+    }
+
+    /**
+     * Whether a file name has a supported extension
+     */
+    isSupported(fileName) {
+        return SUPPORTED_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+    }
+
+    /**
+     * Parse an uploaded contact file
+     * @param {Buffer} buffer - File contents
+     * @param {string} fileName - Original file name (used to pick the format)
+     * @returns {Promise<Object>} { headers, rows } - rows are arrays of trimmed strings, without the header row
+     */
+    async parse(buffer, fileName) {
+        const extension = path.extname(fileName || '').toLowerCase();
+
+        let table;
+        if (extension === '.csv') {
+            table = this.parseCSV(buffer.toString('utf8'));
+        } else if (extension === '.xlsx') {
+            table = await this.parseXLSX(buffer);
+        } else {
+            throw new Error(`Unsupported file type. Upload one of: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+        }
+
+        // Drop blank lines
+        table = table
+            .map(row => row.map(cell => String(cell ?? '').trim()))
+            .filter(row => row.some(cell => cell !== ''));
+
+        if (table.length === 0) {
+            throw new Error('The file is empty');
+        }
+
+        const headers = table[0];
+        if (headers.every(header => header === '')) {
+            throw new Error('The first row must contain column headers');
+        }
+
+        const rows = table.slice(1);
+        if (rows.length > this.maxRows) {
+            throw new Error(`The file has ${rows.length} rows; the limit is ${this.maxRows}`);
+        }
+
+        return { headers, rows };
+    }
+
+    /**
+     * Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and newlines)
+     * @returns {Array<Array<string>>}
+     */
+    parseCSV(text) {
+        // Strip the byte order mark Excel adds to UTF-8 exports
+        const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Read the first worksheet of an Excel workbook, as displayed (so phone numbers keep their digits)
+     * @returns {Promise<Array<Array<string>>>}
+     */
+    async parseXLSX(buffer) {
+        const workbook = new ExcelJS.Workbook();
+
+        try {
+            await workbook.xlsx.load(buffer);
+        } catch (error) {
+            throw new Error('The file is not a valid Excel (.xlsx) workbook');
+        }
+
+        const worksheet = workbook.worksheets[0];
+        if (!worksheet) return [];
+
+        const rows = [];
+        worksheet.eachRow({ includeEmpty: false }, (row) => {
+            const values = [];
+            for (let column = 1; column <= worksheet.columnCount; column++) {
+                values.push(row.getCell(column).text);
+            }
+            rows.push(values);
+        });
+
+        return rows;
+    }
+}
+
+module.exports = new ContactFileService();
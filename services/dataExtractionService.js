@@ -1,156 +1,588 @@
 /**
- * Service to extract structured data from call transcripts using OpenAI
- * Uses per-user API keys provided from the UI
+ * Service to extract structured data from call transcripts using an LLM
+ * Uses each client's own provider configuration (see llmProviderService)
  */
 
-const axios = require('axios');
-const { default: PQueue } = require('p-queue');
-
-const aiQueue = new PQueue({ concurrency: 1 });
-
 class DataExtractionService {
     constructor() {
-        this.openaiModel = process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
+        this.maxOutputTokens = parseInt(process.env.EXTRACTION_MAX_OUTPUT_TOKENS) || 4096;
+        // Transcripts above this size are split into overlapping chunks and extracted per chunk
+        this.chunkTokenBudget = parseInt(process.env.EXTRACTION_CHUNK_TOKEN_BUDGET) || 12000;
+        this.chunkOverlapTokens = parseInt(process.env.EXTRACTION_CHUNK_OVERLAP_TOKENS) || 400;
+        // Values below this confidence are treated as uncertain
+        this.confidenceThreshold = parseFloat(process.env.EXTRACTION_CONFIDENCE_THRESHOLD) || 0.7;
     }
 
     /**
      * Extract information using custom user-defined fields
      * @param {string} transcript - The call transcript text
-     * @param {Array} customFields - Array of {field_name, description} objects
-     * @param {string} apiKey - User's OpenAI API key (decrypted)
+     * @param {Array} customFields - Array of {field_name, description, field_type, allowed_values, required, merge_strategy} objects
+     * @param {Object} provider - Client's LLM provider (from llmProviderService)
+     * @param {Object} [options]
+     * @param {boolean} [options.throwOnError] - Rethrow AI failures instead of returning "Not Found" for every field
      * @returns {Promise<Object>} Extracted data with field names as keys
      */
-    async extractWithCustomFields(transcript, customFields, apiKey) {
+    async extractWithCustomFields(transcript, customFields, provider, options = {}) {
+        const { values } = await this.extractWithCustomFieldsDetailed(transcript, customFields, provider, options);
+        return values;
+    }
+
+    /**
+     * Same as extractWithCustomFields, but also returns each value's confidence and supporting
+     * transcript quote, and how the transcript was chunked and merged
+     * @returns {Promise<Object>} { values, details, merge } - details maps field name to
+     *   { confidence, evidence }; merge is null when no extraction ran
+     */
+    async extractWithCustomFieldsDetailed(transcript, customFields, provider, options = {}) {
         if (!transcript || typeof transcript !== 'string') {
-            return this.getEmptyCustomFieldsData(customFields);
+            return this.getEmptyExtraction(customFields);
         }
 
         if (!Array.isArray(customFields) || customFields.length === 0) {
-            return {};
+            return { values: {}, details: {}, merge: null };
         }
 
-        if (!apiKey) {
-            console.log('No OpenAI API key provided, skipping AI extraction');
-            return this.getEmptyCustomFieldsData(customFields);
+        if (!provider) {
+            console.log('No LLM provider configured, skipping AI extraction');
+            return this.getEmptyExtraction(customFields);
         }
 
         try {
-            return await this.extractWithCustomFieldsAI(transcript, customFields, apiKey);
+            const chunks = this.splitTranscript(transcript);
+
+            if (chunks.length === 1) {
+                const { values, details } = await this.extractWithCustomFieldsAI(transcript, customFields, provider);
+                return { values, details, merge: this.describeMerge(customFields, chunks, null) };
+            }
+
+            console.log(`✂️  Transcript is ~${this.estimateTokens(transcript)} tokens, extracting in ${chunks.length} chunks`);
+
+            // Sequential on purpose: the worker already bounds concurrency per client
+            const chunkResults = [];
+            for (let i = 0; i < chunks.length; i++) {
+                chunkResults.push(await this.extractWithCustomFieldsAI(chunks[i], customFields, provider, {
+                    index: i,
+                    total: chunks.length,
+                }));
+            }
+
+            const values = {};
+            const details = {};
+            const sources = {};
+            customFields.forEach(field => {
+                const merged = this.mergeFieldValues(field, chunkResults.map(result => ({
+                    value: result.values[field.field_name],
+                    ...result.details[field.field_name],
+                })));
+                values[field.field_name] = merged.value;
+                details[field.field_name] = { confidence: merged.confidence, evidence: merged.evidence };
+                sources[field.field_name] = merged.chunks;
+            });
+
+            return { values, details, merge: this.describeMerge(customFields, chunks, sources) };
         } catch (error) {
             console.error('AI extraction with custom fields failed:', error.message);
-            return this.getEmptyCustomFieldsData(customFields);
+            if (options.throwOnError) {
+                throw error;
+            }
+            return this.getEmptyExtraction(customFields);
         }
     }
 
     /**
-     * Extract information using OpenAI with custom fields
+     * Extract information using the client's LLM with custom fields.
+     * The expected output is sent as a strict JSON schema generated from the field definitions.
+     * @param {Object} [chunk] - { index, total } when the transcript is one part of a longer call
+     * @returns {Promise<Object>} { values, details }
      */
-    async extractWithCustomFieldsAI(transcript, customFields, apiKey) {
-        // Build JSON structure for expected output
-        const jsonStructure = {};
-        const fieldInstructions = [];
+    async extractWithCustomFieldsAI(transcript, customFields, provider, chunk = null) {
+        const fieldInstructions = customFields.map(field =>
+            `- ${field.field_name} (${this.describeFieldType(field)}${field.required ? ', required' : ''}): ${field.description}`
+        );
 
-        customFields.forEach(field => {
-            jsonStructure[field.field_name] = "";
-            fieldInstructions.push(`- ${field.field_name}: ${field.description}`);
-        });
-
-        const prompt = `Extract the following information from this call transcript. Return ONLY a valid JSON object with the exact keys shown below. If any information is not found in the transcript, use the exact string "Not Found".
-
-Required JSON format:
-${JSON.stringify(jsonStructure, null, 2)}
+        const prompt = `Extract the following information from this call transcript.
 
 Field extraction instructions:
 ${fieldInstructions.join('\n')}
 
 IMPORTANT:
 - For each field, carefully read the transcript and extract the relevant information based on the description
-- If the information is not present in the transcript, use exactly "Not Found" (not empty string, not null, but the string "Not Found")
-- Return only the JSON object, no additional text or explanation
-
+- Dates must be formatted as "YYYY-MM-DD"; enum fields must be exactly one of the listed values
+- If the information is not present in the transcript, use null
+- For each field also give a confidence between 0 and 1, and as evidence a short exact quote from the transcript that supports the value (null if not found)
+${chunk ? `- This is part ${chunk.index + 1} of ${chunk.total} of a longer call; only use what appears in this part\n` : ''}
 Transcript:
-${transcript}
+${transcript}`;
 
-Return only the JSON object:`;
+        const messages = [
+            {
+                role: 'system',
+                content: 'You extract structured data from call transcripts. Only use information stated in the transcript. Use null for anything that is not found.'
+            },
+            {
+                role: 'user',
+                content: prompt
+            }
+        ];
 
         try {
-            const model = this.openaiModel;
+            const extractedData = await this.requestStructuredOutput({
+                messages,
+                schema: this.buildResponseSchema(customFields),
+                maxTokens: this.getMaxOutputTokens(customFields, transcript),
+                provider,
+            });
 
-            const requestPayload = {
-                model: model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You extract structured data. Return ONLY valid JSON. Do not explain anything. If information is not found, use exactly "Not Found".'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
+            // Validate and normalize extracted data against each field's type
+            const values = {};
+            const details = {};
+            customFields.forEach(field => {
+                const raw = extractedData[field.field_name];
+                // JSON mode models sometimes answer with bare values instead of { value, confidence, evidence }
+                const entry = raw && typeof raw === 'object' && !Array.isArray(raw) && 'value' in raw
+                    ? raw
+                    : { value: raw };
+
+                values[field.field_name] = this.normalizeFieldValue(field, entry.value);
+
+                if (values[field.field_name] === 'Not Found') {
+                    if (!this.isMissing(entry.value)) {
+                        console.warn(`⚠️  Discarded invalid ${field.field_type || 'string'} value for ${field.field_name}:`, entry.value);
                     }
-                ],
-                temperature: 0.3,
-                max_tokens: 150
-            };
+                    details[field.field_name] = { confidence: null, evidence: null };
+                } else {
+                    details[field.field_name] = {
+                        confidence: this.normalizeConfidence(entry.confidence),
+                        evidence: this.normalizeEvidence(entry.evidence),
+                    };
+                }
+            });
+
+            return { values, details };
+        } catch (error) {
+            console.error('AI API error:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Rough token count (about 4 characters per token for English text)
+     */
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+
+    /**
+     * Split a transcript that exceeds the chunk budget into overlapping chunks.
+     * Splits on line boundaries (one line per turn); only a single oversized line is cut mid-text.
+     * @param {string} transcript
+     * @returns {Array<string>} Chunks in transcript order (one chunk if it fits the budget)
+     */
+    splitTranscript(transcript) {
+        if (this.estimateTokens(transcript) <= this.chunkTokenBudget) {
+            return [transcript];
+        }
+
+        const maxChars = this.chunkTokenBudget * 4;
+        // Overlap can't take up more than half a chunk, or chunks would stop advancing
+        const overlapChars = Math.min(this.chunkOverlapTokens * 4, Math.floor(maxChars / 2));
+
+        const lines = [];
+        transcript.split('\n').forEach(line => {
+            if (line.length <= maxChars) {
+                lines.push(line);
+                return;
+            }
+            for (let start = 0; start < line.length; start += maxChars) {
+                lines.push(line.slice(start, start + maxChars));
+            }
+        });
+
+        const chunks = [];
+        let current = [];
+        let currentLength = 0;
+
+        lines.forEach(line => {
+            if (current.length > 0 && currentLength + line.length + 1 > maxChars) {
+                chunks.push(current.join('\n'));
+
+                // Carry the tail of the previous chunk over so statements at the boundary keep their context
+                const overlap = [];
+                let overlapLength = 0;
+                for (let i = current.length - 1; i >= 0; i--) {
+                    if (overlapLength + current[i].length + 1 > overlapChars) break;
+                    overlap.unshift(current[i]);
+                    overlapLength += current[i].length + 1;
+                }
+
+                current = overlap;
+                currentLength = overlapLength;
+            }
+
+            current.push(line);
+            currentLength += line.length + 1;
+        });
+
+        if (current.length > 0) {
+            chunks.push(current.join('\n'));
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Merge one field's results from each chunk using the field's merge strategy.
+     * first_confident takes the earliest value at or above the confidence threshold (values
+     * without a confidence count as confident), else the most confident one.
+     * concat only applies to text fields; typed fields fall back to first_confident.
+     * @param {Object} field - {field_type, merge_strategy}
+     * @param {Array} entries - { value, confidence, evidence } per chunk, in transcript order
+     * @returns {Object} { value, confidence, evidence, chunks } - chunks lists the indexes the value came from
+     */
+    mergeFieldValues(field, entries) {
+        const found = entries
+            .map((entry, index) => ({ ...entry, index }))
+            .filter(entry => entry.value !== 'Not Found');
+
+        if (found.length === 0) {
+            return { value: 'Not Found', confidence: null, evidence: null, chunks: [] };
+        }
+
+        const pick = (entry) => ({
+            value: entry.value,
+            confidence: entry.confidence ?? null,
+            evidence: entry.evidence ?? null,
+            chunks: [entry.index],
+        });
 
-            // Add JSON response format for supported models
-            if (
-                model.includes('gpt-3.5-turbo-1106') ||
-                model.includes('gpt-4-turbo') ||
-                model.includes('gpt-4o') ||
-                model.includes('gpt-4-1106')) {
-                requestPayload.response_format = { type: 'json_object' };
-            }
-
-            const response = await aiQueue.add(() =>
-                axios.post(
-                    'https://api.openai.com/v1/chat/completions',
-                    requestPayload,
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${apiKey}`,
-                            'Content-Type': 'application/json'
-                        }
+        switch (this.getMergeStrategy(field)) {
+            case 'latest':
+                return pick(found[found.length - 1]);
+            case 'concat': {
+                const distinct = [];
+                found.forEach(entry => {
+                    const text = String(entry.value);
+                    if (!distinct.some(existing => String(existing.value).toLowerCase() === text.toLowerCase())) {
+                        distinct.push(entry);
                     }
-                )
-            );
+                });
+
+                const confidences = distinct.map(entry => entry.confidence).filter(c => typeof c === 'number');
+                return {
+                    value: distinct.map(entry => String(entry.value)).join('; '),
+                    // A joined value is only as certain as its weakest part
+                    confidence: confidences.length > 0 ? Math.min(...confidences) : null,
+                    evidence: distinct.map(entry => entry.evidence).filter(Boolean).join(' … ') || null,
+                    chunks: distinct.map(entry => entry.index),
+                };
+            }
+            default: {
+                const confident = found.find(entry =>
+                    typeof entry.confidence !== 'number' || entry.confidence >= this.confidenceThreshold
+                );
+                if (confident) return pick(confident);
+
+                // Nothing confident: keep the best guess, earliest on ties
+                return pick(found.reduce((best, entry) => (entry.confidence > best.confidence ? entry : best)));
+            }
+        }
+    }
+
+    /**
+     * Effective merge strategy for a field
+     */
+    getMergeStrategy(field) {
+        const strategy = field.merge_strategy || 'first_confident';
+        if (strategy === 'concat' && field.field_type && field.field_type !== 'string') {
+            return 'first_confident';
+        }
+        return strategy;
+    }
+
+    /**
+     * Chunking and merge details stored with the extracted data
+     */
+    describeMerge(customFields, chunks, sources) {
+        const strategies = {};
+        customFields.forEach(field => {
+            strategies[field.field_name] = this.getMergeStrategy(field);
+        });
+
+        return {
+            chunk_count: chunks.length,
+            chunk_token_budget: this.chunkTokenBudget,
+            chunk_overlap_tokens: chunks.length > 1 ? this.chunkOverlapTokens : 0,
+            strategies,
+            // Chunk indexes each merged value came from (only for chunked transcripts)
+            sources: sources || null,
+        };
+    }
+
+    /**
+     * Call the provider's chat completions API and parse the JSON it returns.
+     * Uses structured outputs (json_schema) and falls back to plain JSON mode for models
+     * that reject it. A response cut off by the token limit is retried once with a larger limit.
+     * @returns {Promise<Object>} Parsed JSON object
+     */
+    async requestStructuredOutput({ messages, schema, maxTokens, provider }) {
+        let useSchema = true;
+        let tokenLimit = maxTokens;
 
-            const content = response.data.choices[0].message.content;
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const requestPayload = {
+                messages: useSchema ? messages : this.withSchemaInstructions(messages, schema),
+                temperature: 0,
+                max_tokens: tokenLimit,
+                response_format: useSchema
+                    ? { type: 'json_schema', json_schema: { name: 'call_extraction', strict: true, schema } }
+                    : { type: 'json_object' },
+            };
 
-            // Parse JSON response
-            let extractedData;
+            let response;
             try {
-                let cleanedContent = content.trim();
-                if (cleanedContent.startsWith('```json')) {
-                    cleanedContent = cleanedContent.replace(/```json\n?/i, '').replace(/```\n?$/, '');
-                } else if (cleanedContent.startsWith('```')) {
-                    cleanedContent = cleanedContent.replace(/```\n?/i, '').replace(/```\n?$/, '');
+                // Concurrency is bounded by the extraction worker, not here
+                response = await provider.createChatCompletion(requestPayload);
+            } catch (error) {
+                if (useSchema && this.isUnsupportedResponseFormat(error)) {
+                    console.warn(`⚠️  Model ${provider.model} (${provider.type}) does not support structured outputs, falling back to JSON mode`);
+                    useSchema = false;
+                    continue;
                 }
+                throw error;
+            }
+
+            const choice = response.choices[0];
+
+            if (choice.finish_reason === 'length') {
+                if (tokenLimit < this.maxOutputTokens) {
+                    tokenLimit = Math.min(tokenLimit * 2, this.maxOutputTokens);
+                    console.warn(`⚠️  Extraction output truncated, retrying with max_tokens=${tokenLimit}`);
+                    continue;
+                }
+                throw new Error(`Extraction output exceeded ${tokenLimit} tokens`);
+            }
+
+            if (choice.message.refusal) {
+                throw new Error(`Model refused extraction: ${choice.message.refusal}`);
+            }
 
-                extractedData = JSON.parse(cleanedContent);
+            try {
+                return JSON.parse(choice.message.content);
             } catch (parseError) {
-                const jsonMatch = content.match(/\{[\s\S]*\}/);
-                if (jsonMatch) {
-                    extractedData = JSON.parse(jsonMatch[0]);
-                } else {
-                    console.error('Failed to parse AI response:', content);
-                    throw new Error('Failed to parse AI response as JSON');
+                console.error('Failed to parse AI response:', choice.message.content);
+                throw new Error('Failed to parse AI response as JSON');
+            }
+        }
+
+        throw new Error('Extraction request failed after retries');
+    }
+
+    /**
+     * Whether an API error means the model doesn't accept the json_schema response format
+     */
+    isUnsupportedResponseFormat(error) {
+        if (error.response?.status !== 400) return false;
+        const message = JSON.stringify(error.response.data || {}).toLowerCase();
+        return message.includes('response_format') || message.includes('json_schema');
+    }
+
+    /**
+     * Describe the schema in the prompt for JSON mode, which can't enforce it
+     */
+    withSchemaInstructions(messages, schema) {
+        const instruction = `Return ONLY a JSON object matching this JSON schema, with every key present:\n${JSON.stringify(schema)}`;
+        return [
+            { ...messages[0], content: `${messages[0].content}\n\n${instruction}` },
+            ...messages.slice(1),
+        ];
+    }
+
+    /**
+     * Build a strict JSON schema for the client's extraction fields.
+     * Every field is required and answered as { value, confidence, evidence }; a null value
+     * means it was not found.
+     * @param {Array} customFields - Field definitions
+     * @returns {Object} JSON schema
+     */
+    buildResponseSchema(customFields) {
+        const properties = {};
+
+        customFields.forEach(field => {
+            properties[field.field_name] = {
+                type: 'object',
+                properties: {
+                    value: this.getFieldSchema(field),
+                    confidence: { type: 'number', description: 'How certain the value is, from 0 to 1' },
+                    evidence: { type: ['string', 'null'], description: 'Short exact quote from the transcript supporting the value' },
+                },
+                required: ['value', 'confidence', 'evidence'],
+                additionalProperties: false,
+            };
+        });
+
+        return {
+            type: 'object',
+            properties,
+            required: customFields.map(field => field.field_name),
+            additionalProperties: false,
+        };
+    }
+
+    /**
+     * JSON schema for a single field's value
+     */
+    getFieldSchema(field) {
+        const description = field.description;
+
+        switch (field.field_type) {
+            case 'number':
+                return { type: ['number', 'null'], description };
+            case 'boolean':
+                return { type: ['boolean', 'null'], description };
+            case 'enum':
+                return { type: ['string', 'null'], enum: [...(field.allowed_values || []), null], description };
+            case 'date':
+                return { type: ['string', 'null'], description: `${description} (YYYY-MM-DD)` };
+            default:
+                return { type: ['string', 'null'], description };
+        }
+    }
+
+    /**
+     * Output token budget scaled to the number of fields and the transcript length
+     * (longer calls tend to produce longer free-text values)
+     */
+    getMaxOutputTokens(customFields, transcript) {
+        const transcriptTokens = Math.ceil((transcript || '').length / 4);
+        // Each field carries a confidence and an evidence quote besides its value
+        const estimate = 200 + customFields.length * 150 + Math.ceil(transcriptTokens * 0.05);
+        return Math.min(estimate, this.maxOutputTokens);
+    }
+
+    /**
+     * Short type description for the prompt
+     */
+    describeFieldType(field) {
+        switch (field.field_type) {
+            case 'number':
+                return 'number';
+            case 'boolean':
+                return 'true or false';
+            case 'date':
+                return 'date, YYYY-MM-DD';
+            case 'enum':
+                return `one of: ${(field.allowed_values || []).join(', ')}`;
+            case 'phone':
+                return 'phone number, digits with country code if mentioned';
+            case 'email':
+                return 'email address';
+            default:
+                return 'text';
+        }
+    }
+
+    /**
+     * Whether a raw model value means "no information"
+     */
+    isMissing(value) {
+        if (value === null || value === undefined) return true;
+        if (typeof value !== 'string') return false;
+        const trimmed = value.trim().toLowerCase();
+        return ['', 'not found', 'null', 'n/a', 'none', 'unknown'].includes(trimmed);
+    }
+
+    /**
+     * Validate and normalize a raw value for a typed field.
+     * Returns "Not Found" for missing or invalid values.
+     * @param {Object} field - {field_type, allowed_values}
+     * @param {*} value - Raw value from the model (or a reviewer)
+     * @returns {*} Normalized value (string, number or boolean) or "Not Found"
+     */
+    normalizeFieldValue(field, value) {
+        if (this.isMissing(value)) {
+            return 'Not Found';
+        }
+
+        switch (field.field_type) {
+            case 'number': {
+                if (typeof value === 'number') {
+                    return Number.isFinite(value) ? value : 'Not Found';
                 }
+                const cleaned = String(value).replace(/[,\s]/g, '').replace(/^[^\d+-.]+/, '').replace(/[^\d.]+$/, '');
+                return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(cleaned) ? Number(cleaned) : 'Not Found';
+            }
+            case 'boolean': {
+                if (typeof value === 'boolean') return value;
+                const text = String(value).trim().toLowerCase();
+                if (['true', 'yes', 'y', '1'].includes(text)) return true;
+                if (['false', 'no', 'n', '0'].includes(text)) return false;
+                return 'Not Found';
             }
+            case 'date': {
+                // Only ISO dates (an ISO time after them is dropped); free-form text is too ambiguous
+                // to read reliably (day/month order, server time zone)
+                const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/i);
+                if (!match) return 'Not Found';
 
-            // Validate and sanitize extracted data
-            const result = {};
-            customFields.forEach(field => {
-                const value = extractedData[field.field_name];
-                result[field.field_name] = this.sanitizeCustomValue(value);
-            });
+                const text = `${match[1]}-${match[2]}-${match[3]}`;
+                const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
 
-            return result;
-        } catch (error) {
-            console.error('AI API error:', error.response?.data || error.message);
-            throw error;
+                // Impossible dates (2026-02-30) roll over and don't come back unchanged
+                if (isNaN(date.getTime()) || date.toISOString().split('T')[0] !== text) return 'Not Found';
+                return text;
+            }
+            case 'enum': {
+                const text = String(value).trim().toLowerCase();
+                const match = (field.allowed_values || []).find(v => v.toLowerCase() === text);
+                return match || 'Not Found';
+            }
+            case 'phone': {
+                const text = String(value).trim();
+                const digits = text.replace(/\D/g, '');
+                if (digits.length < 7 || digits.length > 15) return 'Not Found';
+                return text.startsWith('+') ? `+${digits}` : digits;
+            }
+            case 'email': {
+                const text = String(value).trim().toLowerCase();
+                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) ? text : 'Not Found';
+            }
+            default:
+                return this.sanitizeCustomValue(typeof value === 'number' ? String(value) : value);
         }
     }
 
+    /**
+     * Clamp a model confidence to 0..1 (percentages are scaled down); null if unusable
+     */
+    normalizeConfidence(confidence) {
+        const number = typeof confidence === 'string' ? parseFloat(confidence) : confidence;
+        if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) return null;
+        if (number > 1) return number <= 100 ? Math.round(number) / 100 : null;
+        return Math.round(number * 100) / 100;
+    }
+
+    /**
+     * Fields whose value was found but with a confidence below the threshold
+     * @param {Object} fieldDetails - Field name -> { confidence, evidence }
+     * @returns {Array<string>} Field names
+     */
+    getLowConfidenceFields(fieldDetails) {
+        return Object.keys(fieldDetails || {}).filter(fieldName => {
+            const confidence = fieldDetails[fieldName]?.confidence;
+            return typeof confidence === 'number' && confidence < this.confidenceThreshold;
+        });
+    }
+
+    /**
+     * Trim an evidence quote to a reviewable length; null if empty
+     */
+    normalizeEvidence(evidence) {
+        if (typeof evidence !== 'string') return null;
+        const trimmed = evidence.trim();
+        if (!trimmed) return null;
+        return trimmed.length > 300 ? `${trimmed.slice(0, 297)}...` : trimmed;
+    }
+
     /**
      * Sanitize extracted custom field values
      */
@@ -162,6 +594,17 @@ Return only the JSON object:`;
         return trimmed || 'Not Found';
     }
 
+    /**
+     * Detailed extraction result with every field not found
+     */
+    getEmptyExtraction(customFields) {
+        const details = {};
+        customFields.forEach(field => {
+            details[field.field_name] = { confidence: null, evidence: null };
+        });
+        return { values: this.getEmptyCustomFieldsData(customFields), details, merge: null };
+    }
+
     /**
      * Get empty data structure for custom fields
      */
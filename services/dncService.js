@@ -0,0 +1,142 @@
+/**
+ * Per-client Do-Not-Call list: numbers that opted out, checked before every outbound call
+ */
+
+const DncEntry = require('../models/DncEntry');
+
+// Headers recognised as the phone column of an imported list
+const PHONE_HEADER_PATTERN = /phone|mobile|number|contact/i;
+
+class DncService {
+    /**
+     * Normalize a number the way campaigns dial it (E.164)
+     * @returns {string|null} null if it isn't a phone number
+     */
+    normalizePhone(phone) {
+        if (phone === undefined || phone === null || String(phone).trim() === '') return null;
+
+        // Lazy require: campaignService checks this list before dialing
+        const campaignService = require('./campaignService');
+        return campaignService.formatPhoneNumber(phone);
+    }
+
+    /**
+     * Add numbers to a client's list; numbers already on it keep their entry
+     * @param {ObjectId} clientId
+     * @param {Array<string>} phones - Numbers in any format
+     * @param {Object} [details] - { source, reason, execution_id }
+     * @returns {Promise<Object>} { added, existing, invalid (the numbers that couldn't be read) }
+     */
+    async addNumbers(clientId, phones, details = {}) {
+        const numbers = new Set();
+        const invalid = [];
+
+        phones.forEach(raw => {
+            const phone = this.normalizePhone(raw);
+            if (phone) {
+                numbers.add(phone);
+            } else {
+                invalid.push(String(raw ?? ''));
+            }
+        });
+
+        if (numbers.size === 0) {
+            return { added: 0, existing: 0, invalid };
+        }
+
+        const result = await DncEntry.bulkWrite([...numbers].map(phone => ({
+            updateOne: {
+                filter: { client_id: clientId, phone },
+                update: {
+                    $setOnInsert: {
+                        client_id: clientId,
+                        phone,
+                        source: details.source || 'manual',
+                        reason: details.reason || null,
+                        execution_id: details.execution_id || null,
+                    },
+                },
+                upsert: true,
+            },
+        })), { ordered: false });
+
+        return { added: result.upsertedCount, existing: numbers.size - result.upsertedCount, invalid };
+    }
+
+    /**
+     * The client's entry for a number, if it's on the list
+     */
+    async findEntry(clientId, phone) {
+        const normalized = this.normalizePhone(phone);
+        if (!normalized) return null;
+        return DncEntry.findOne({ client_id: clientId, phone: normalized });
+    }
+
+    /**
+     * Check a number right before dialing it. A blocked call is counted on the entry.
+     * @param {ObjectId} clientId
+     * @param {string} phone
+     * @param {string} context - Where the call came from, for the log
+     * @returns {Promise<Object|null>} The entry blocking the call, or null if it may be made
+     */
+    async checkSuppression(clientId, phone, context) {
+        const entry = await this.findEntry(clientId, phone);
+        if (!entry) return null;
+
+        await DncEntry.updateOne(
+            { _id: entry._id },
+            { $inc: { suppressed_count: 1 }, $set: { last_suppressed_at: new Date() } }
+        );
+        console.log(`🚫 ${context}: ${entry.phone} is on the Do-Not-Call list. Call suppressed.`);
+        return entry;
+    }
+
+    /**
+     * Add the called number when a call's disposition is the client's do-not-call disposition
+     * @param {Object} client - Client document
+     * @param {Object} execution - Analyzed execution
+     * @returns {Promise<boolean>} Whether the number was added
+     */
+    async addFromExecution(client, execution) {
+        const dncDisposition = client.analysis_settings?.dnc_disposition;
+        const disposition = execution.analysis?.disposition;
+
+        if (!dncDisposition || !disposition || disposition.toLowerCase() !== dncDisposition.toLowerCase()) {
+            return false;
+        }
+        if (!execution.to_number) return false;
+
+        const { added } = await this.addNumbers(client._id, [execution.to_number], {
+            source: 'disposition',
+            reason: `Call disposition: ${disposition}`,
+            execution_id: execution.bolna_execution_id,
+        });
+
+        if (added > 0) {
+            console.log(`🚫 Added ${execution.to_number} to the Do-Not-Call list (AItelz execution ${execution.bolna_execution_id})`);
+        }
+        return added > 0;
+    }
+
+    /**
+     * Numbers of an imported CSV/Excel list: its phone column, or the first column when no
+     * header looks like one (the first row then counts as a number too, if it is one)
+     * @param {Array<string>} headers - First row of the file
+     * @param {Array<Array<string>>} rows - Other rows
+     * @returns {Array<string>}
+     */
+    getImportNumbers(headers, rows) {
+        const index = headers.findIndex(header => PHONE_HEADER_PATTERN.test(header));
+        if (index !== -1) {
+            return rows.map(row => row[index]).filter(Boolean);
+        }
+
+        const numbers = rows.map(row => row[0]).filter(Boolean);
+        if (this.normalizePhone(headers[0])) {
+            numbers.unshift(headers[0]);
+        }
+        return numbers;
+    }
+}
+
+module.exports = new DncService();
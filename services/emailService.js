@@ -98,6 +98,74 @@ const sendPasswordResetEmail = async (email, resetToken) => {
     }
 };
 
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Function to tell a client their campaign finished (never throws: the campaign is completed either way)
+const sendCampaignCompletedEmail = async (email, { campaignName, reason, stats }) => {
+    const campaignsUrl = `${process.env.FRONTEND_URL || 'https://in.aitelz.com'}/campaigns`;
+
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
+        console.log(`📧 [Email not configured] Campaign "${campaignName}" completed for ${email}: ${reason}`);
+        return;
+    }
+
+    const rows = Object.entries(stats).map(([label, value]) => `
+                        <tr>
+                            <td style="color: #666666; font-size: 14px; padding: 6px 0;">${escapeHtml(label)}</td>
+                            <td style="color: #000000; font-size: 14px; padding: 6px 0; text-align: right;"><strong>${escapeHtml(value)}</strong></td>
+                        </tr>`).join('');
+
+    const mailOptions = {
+        from: `"Voice Dashboard" <${process.env.EMAIL_USER}>`,
+        to: email,
+        subject: `Campaign completed: ${campaignName} - Voice Dashboard`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
+                <div style="text-align: center; margin-bottom: 30px;">
+                    <h1 style="color: #000000; margin: 0;">Voice Dashboard</h1>
+                </div>
+
+                <div style="background-color: #f5f5f5; padding: 30px; border-radius: 8px;">
+                    <h2 style="color: #000000; margin-top: 0;">Your campaign has completed</h2>
+                    <p style="color: #666666; font-size: 16px; line-height: 1.6;">
+                        <strong>${escapeHtml(campaignName)}</strong> stopped calling: ${escapeHtml(reason)}.
+                    </p>
+
+                    <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">${rows}
+                    </table>
+
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${campaignsUrl}"
+                           style="display: inline-block; padding: 14px 28px; background-color: #000000;
+                                  color: #ffffff; text-decoration: none; border-radius: 8px;
+                                  font-weight: 600; font-size: 16px;">
+                            View Campaign
+                        </a>
+                    </div>
+                </div>
+
+                <div style="text-align: center; margin-top: 30px;">
+                    <p style="color: #999999; font-size: 12px;">
+                        © ${new Date().getFullYear()} Voice Dashboard. All rights reserved.
+                    </p>
+                </div>
+            </div>
+        `,
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('✅ Campaign completion email sent to:', email);
+    } catch (error) {
+        console.error('❌ Error sending campaign completion email:', error.message);
+    }
+};
+
 module.exports = {
     sendPasswordResetEmail,
+    sendCampaignCompletedEmail,
 };
@@ -0,0 +1,111 @@
+/**
+ * Where extracted data is written in Google Sheets
+ * Each agent can have its own spreadsheet and/or tab; agents without one share the client's sheet
+ */
+
+const Agent = require('../models/Agent');
+const extractionSchemaService = require('./extractionSchemaService');
+
+const METADATA_HEADERS = ['Call_Date', 'Call_Time', 'Execution_ID', 'Agent_Name'];
+
+class ExtractionDestinationService {
+    /**
+     * Sheet destination of an agent
+     * @param {Object} client - Client document
+     * @param {Object} [agent] - Agent document
+     * @returns {Object|null} { spreadsheet_id, tab } or null if no sheet is configured
+     */
+    getTarget(client, agent) {
+        // Priority: agent's sheet, then client extraction_sheet_id, then legacy google_sheet_id
+        const spreadsheetId = agent?.extraction_sheet_id || client.extraction_sheet_id || client.google_sheet_id;
+        if (!spreadsheetId) return null;
+
+        return {
+            spreadsheet_id: spreadsheetId,
+            tab: agent?.extraction_sheet_tab || null,
+        };
+    }
+
+    /**
+     * Whether two destinations are the same tab of the same spreadsheet
+     */
+    isSameTarget(a, b) {
+        return !!a && !!b && a.spreadsheet_id === b.spreadsheet_id && (a.tab || null) === (b.tab || null);
+    }
+
+    /**
+     * Every destination of a client with the agents writing to it
+     * @param {Object} client - Client document
+     * @returns {Promise<Array>} [{ spreadsheet_id, tab, agent_ids }]
+     */
+    async listTargets(client) {
+        const agents = await Agent.find({ client_id: client._id }).select('extraction_sheet_id extraction_sheet_tab');
+        const targets = [];
+
+        agents.forEach(agent => {
+            const target = this.getTarget(client, agent);
+            if (!target) return;
+
+            const existing = targets.find(t => this.isSameTarget(t, target));
+            if (existing) {
+                existing.agent_ids.push(agent._id);
+            } else {
+                targets.push({ ...target, agent_ids: [agent._id] });
+            }
+        });
+
+        // The client's own sheet gets headers even before any agent writes to it
+        const clientTarget = this.getTarget(client, null);
+        if (clientTarget && !targets.some(t => this.isSameTarget(t, clientTarget))) {
+            targets.push({ ...clientTarget, agent_ids: [] });
+        }
+
+        return targets;
+    }
+
+    /**
+     * Field columns of the sheet an agent writes to. Agents sharing a destination share columns.
+     * @returns {Promise<Array<string>>} Field names
+     */
+    async getColumns(client, agent) {
+        const target = this.getTarget(client, agent);
+        const targets = await this.listTargets(client);
+        const shared = targets.find(t => this.isSameTarget(t, target));
+
+        return extractionSchemaService.getSheetColumns(client._id, shared ? shared.agent_ids : [agent._id]);
+    }
+
+    /**
+     * Full header row for a destination: field columns then metadata columns
+     */
+    async getHeaders(client, target) {
+        const columns = await extractionSchemaService.getSheetColumns(client._id, target.agent_ids);
+        return [...columns, ...METADATA_HEADERS];
+    }
+
+    /**
+     * Write the header row of every destination of a client
+     * @param {Object} client - Client document (must be Google authorized)
+     * @returns {Promise<Array>} [{ spreadsheet_id, tab, columns, error }]
+     */
+    async syncHeaders(client) {
+        const googleSheetsService = require('./googleSheetsService');
+        const targets = await this.listTargets(client);
+        const results = [];
+
+        for (const target of targets) {
+            try {
+                const headers = await this.getHeaders(client, target);
+                await googleSheetsService.createHeaders(client, target.spreadsheet_id, headers, target.tab);
+                results.push({ spreadsheet_id: target.spreadsheet_id, tab: target.tab, columns: headers.length, error: null });
+            } catch (error) {
+                console.error(`⚠️  Failed to update headers of sheet ${target.spreadsheet_id}${target.tab ? ` (${target.tab})` : ''}:`, error.message);
+                results.push({ spreadsheet_id: target.spreadsheet_id, tab: target.tab, columns: 0, error: error.message });
+            }
+        }
+
+        return results;
+    }
+}
+
+module.exports = new ExtractionDestinationService();
@@ -0,0 +1,341 @@
+/**
+ * Durable queue for transcript extraction
+ * Jobs live in MongoDB so queued work survives restarts, and are processed by the
+ * extraction worker with retries, exponential backoff and per-client concurrency
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { default: PQueue } = require('p-queue');
+const Agent = require('../models/Agent');
+const Execution = require('../models/Execution');
+const ExtractionJob = require('../models/ExtractionJob');
+
+class ExtractionQueueService {
+    constructor() {
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.concurrency = parseInt(process.env.EXTRACTION_WORKER_CONCURRENCY) || 4;
+        this.clientConcurrency = parseInt(process.env.EXTRACTION_CLIENT_CONCURRENCY) || 2;
+        this.maxAttempts = parseInt(process.env.EXTRACTION_MAX_ATTEMPTS) || 5;
+        this.leaseMs = 5 * 60 * 1000;
+        // Running jobs renew their lease this often, so long (chunked) extractions keep it
+        this.heartbeatMs = 60 * 1000;
+        this.baseBackoffMs = 30 * 1000;
+        this.maxBackoffMs = 60 * 60 * 1000;
+
+        // In-process pool for jobs claimed by this worker
+        this.pool = new PQueue({ concurrency: this.concurrency });
+    }
+
+    /**
+     * Queue extraction for an execution. Does nothing if a job already exists,
+     * unless `retry` or `reextract` is set, which re-queue a finished or dead job.
+     * @param {Object} execution - Execution document
+     * @param {Object} [options]
+     * @param {boolean} [options.retry] - Re-queue a job that already finished
+     * @param {boolean} [options.reextract] - Re-queue and ignore previously extracted values
+     * @returns {Promise<Object|null>} The job, or null if nothing was queued
+     */
+    async enqueue(execution, options = {}) {
+        if (!execution.transcript || execution.transcript.trim().length === 0) {
+            return null;
+        }
+
+        const requeue = !!(options.retry || options.reextract);
+
+        // Already exported before the queue existed
+        if (!requeue && execution.extracted_data?.google_sheet_synced) {
+            return null;
+        }
+
+        const agent = await Agent.findById(execution.agent_id).select('client_id');
+        if (!agent || !agent.client_id) {
+            console.warn(`⚠️  Agent or client_id not found for AItelz execution ${execution.bolna_execution_id}`);
+            return null;
+        }
+
+        let job = await ExtractionJob.findOneAndUpdate(
+            { execution_id: execution._id },
+            {
+                $setOnInsert: {
+                    execution_id: execution._id,
+                    client_id: agent.client_id,
+                    status: 'queued',
+                    attempts: 0,
+                    max_attempts: this.maxAttempts,
+                    next_run_at: new Date(),
+                },
+            },
+            { upsert: true, new: true }
+        );
+
+        if (requeue && job.status !== 'processing') {
+            job = await ExtractionJob.findOneAndUpdate(
+                { _id: job._id, status: { $ne: 'processing' } },
+                {
+                    $set: {
+                        status: 'queued',
+                        attempts: 0,
+                        next_run_at: new Date(),
+                        last_error: null,
+                        completed_at: null,
+                        reextract: !!options.reextract,
+                    },
+                },
+                { new: true }
+            ) || job;
+        }
+
+        await this.mirrorStatus(job);
+        return job;
+    }
+
+    /**
+     * Claim due jobs up to the free capacity of this worker and start them.
+     * @returns {Promise<number>} Number of jobs claimed
+     */
+    async processDueJobs() {
+        const capacity = this.concurrency - (this.pool.size + this.pool.pending);
+        if (capacity <= 0) return 0;
+
+        const now = new Date();
+
+        // Due jobs, plus jobs whose worker lease expired (crashed or stuck worker)
+        const candidates = await ExtractionJob.find({
+            $or: [
+                { status: 'queued', next_run_at: { $lte: now } },
+                { status: 'processing', locked_until: { $lte: now } },
+            ],
+        })
+            .sort({ next_run_at: 1 })
+            .limit(capacity * 5)
+            .select('_id client_id status locked_until');
+
+        let claimed = 0;
+        const activeByClient = new Map();
+
+        for (const candidate of candidates) {
+            if (claimed >= capacity) break;
+
+            const clientKey = candidate.client_id.toString();
+            if (!activeByClient.has(clientKey)) {
+                const active = await ExtractionJob.countDocuments({
+                    client_id: candidate.client_id,
+                    status: 'processing',
+                    locked_until: { $gt: now },
+                });
+                activeByClient.set(clientKey, active);
+            }
+
+            if (activeByClient.get(clientKey) >= this.clientConcurrency) {
+                continue;
+            }
+
+            // Atomic claim: only succeeds if nobody else grabbed the job in the meantime
+            const job = await ExtractionJob.findOneAndUpdate(
+                { _id: candidate._id, status: candidate.status, locked_until: candidate.locked_until },
+                {
+                    $set: {
+                        status: 'processing',
+                        locked_by: this.workerId,
+                        locked_until: new Date(now.getTime() + this.leaseMs),
+                    },
+                    $inc: { attempts: 1 },
+                },
+                { new: true }
+            );
+
+            if (!job) continue;
+
+            claimed++;
+            activeByClient.set(clientKey, activeByClient.get(clientKey) + 1);
+            await this.mirrorStatus(job);
+
+            this.pool.add(() => this.runJob(job)).catch((error) => {
+                console.error(`❌ Extraction job ${job._id} crashed:`, error);
+            });
+        }
+
+        return claimed;
+    }
+
+    /**
+     * Query matching a job only while this worker still holds the claim it was started with
+     * (attempts goes up with every claim, so a re-claim by this same worker doesn't match)
+     */
+    ownerFilter(job) {
+        return { _id: job._id, status: 'processing', locked_by: this.workerId, attempts: job.attempts };
+    }
+
+    /**
+     * Extend the lease of a running job
+     * @returns {Promise<boolean>} false if the job was reclaimed by another run
+     */
+    async renewLease(job) {
+        const result = await ExtractionJob.updateOne(
+            this.ownerFilter(job),
+            { $set: { locked_until: new Date(Date.now() + this.leaseMs) } }
+        );
+        return result.matchedCount > 0;
+    }
+
+    /**
+     * Record the outcome of a run, unless its lease was lost in the meantime
+     * (the job then belongs to another run, whose state must not be overwritten)
+     * @returns {Promise<Object|null>} The updated job, or null if the result was dropped
+     */
+    async finishJob(job, update) {
+        const finished = await ExtractionJob.findOneAndUpdate(
+            this.ownerFilter(job),
+            { $set: { ...update, locked_by: null, locked_until: null } },
+            { new: true }
+        );
+
+        if (!finished) {
+            console.warn(`⚠️  Extraction job ${job._id} lost its lease; dropping the result of attempt ${job.attempts}`);
+            return null;
+        }
+
+        await this.mirrorStatus(finished);
+        return finished;
+    }
+
+    /**
+     * Run one claimed job and record its outcome
+     */
+    async runJob(job) {
+        // Lazy require: bolnaService enqueues jobs through this service
+        const bolnaService = require('./bolnaService');
+        const callAnalysisService = require('./callAnalysisService');
+
+        const heartbeat = setInterval(() => {
+            this.renewLease(job)
+                .then((held) => {
+                    if (!held) console.warn(`⚠️  Extraction job ${job._id} was reclaimed while running`);
+                })
+                .catch((error) => console.error(`Failed to renew lease of extraction job ${job._id}:`, error.message));
+        }, this.heartbeatMs);
+
+        try {
+            const execution = await Execution.findById(job.execution_id);
+            if (!execution) {
+                return await this.markDead(job, 'Execution not found');
+            }
+
+            // A failed analysis must not block extraction; it is retried with the job below
+            let analysisError = null;
+            try {
+                await callAnalysisService.analyzeExecution(execution, { force: job.reextract, throwOnError: true });
+            } catch (error) {
+                analysisError = error;
+            }
+
+            await bolnaService.processTranscriptForExtraction(execution, {
+                throwOnError: true,
+                reextract: job.reextract,
+            });
+
+            // Extraction is done (a retry skips it), so retry only while attempts remain;
+            // after the last one the job succeeds with the analysis failure as its last error
+            const analysisMessage = analysisError
+                ? `Call analysis failed: ${analysisError.response?.data?.error?.message || analysisError.message}`
+                : null;
+
+            if (analysisError && job.attempts < job.max_attempts) {
+                console.error(`❌ Extraction job ${job._id} attempt ${job.attempts}:`, analysisMessage);
+
+                return await this.finishJob(job, {
+                    status: 'queued',
+                    reextract: false,
+                    last_error: analysisMessage,
+                    next_run_at: new Date(Date.now() + this.getBackoffMs(job.attempts)),
+                });
+            }
+
+            await this.finishJob(job, {
+                status: 'succeeded',
+                reextract: false,
+                completed_at: new Date(),
+                last_error: analysisMessage,
+            });
+        } catch (error) {
+            const message = error.response?.data?.error?.message || error.message || String(error);
+            console.error(`❌ Extraction job ${job._id} attempt ${job.attempts} failed:`, message);
+
+            if (job.attempts >= job.max_attempts) {
+                return await this.markDead(job, message);
+            }
+
+            await this.finishJob(job, {
+                status: 'queued',
+                last_error: message,
+                next_run_at: new Date(Date.now() + this.getBackoffMs(job.attempts)),
+            });
+        } finally {
+            clearInterval(heartbeat);
+        }
+    }
+
+    /**
+     * Give up on a job after its last attempt
+     */
+    async markDead(job, message) {
+        const dead = await this.finishJob(job, {
+            status: 'dead',
+            last_error: message,
+            completed_at: new Date(),
+        });
+        if (dead) {
+            console.error(`💀 Extraction job ${job._id} dead-lettered: ${message}`);
+        }
+    }
+
+    /**
+     * Exponential backoff with jitter: 30s, 1m, 2m, 4m... capped at 1 hour
+     */
+    getBackoffMs(attempts) {
+        const exponential = this.baseBackoffMs * Math.pow(2, Math.max(attempts - 1, 0));
+        const jitter = Math.floor(Math.random() * this.baseBackoffMs);
+        return Math.min(exponential, this.maxBackoffMs) + jitter;
+    }
+
+    /**
+     * Copy the job state onto its execution so it shows up in execution queries
+     */
+    async mirrorStatus(job) {
+        try {
+            const update = {
+                extraction_queue: {
+                    status: job.status,
+                    attempts: job.attempts,
+                    last_error: job.last_error,
+                    next_run_at: job.status === 'queued' ? job.next_run_at : null,
+                    updated_at: new Date(),
+                },
+            };
+
+            // Freshly queued work has no outcome yet
+            if (job.status === 'queued' && job.attempts === 0) {
+                update.extraction_state = 'pending';
+                update.extraction_error = null;
+            }
+            if (job.status === 'dead') {
+                update.extraction_state = 'failed';
+                update.extraction_error = job.last_error;
+            }
+
+            await Execution.updateOne({ _id: job.execution_id }, { $set: update });
+        } catch (error) {
+            console.error(`Failed to update extraction status on execution ${job.execution_id}:`, error.message);
+        }
+    }
+
+    /**
+     * Wait for jobs running in this process to settle (used on shutdown)
+     */
+    async drain() {
+        await this.pool.onIdle();
+    }
+}
+
+module.exports = new ExtractionQueueService();
@@ -0,0 +1,157 @@
+/**
+ * Versioning of client extraction field sets
+ * Every change to a client's fields creates a new schema version; executions record the
+ * version they were extracted with, so exports and sheets can line up historical calls
+ */
+
+const ExtractionField = require('../models/ExtractionField');
+const ExtractionSchemaVersion = require('../models/ExtractionSchemaVersion');
+
+class ExtractionSchemaService {
+    /**
+     * Snapshot the client's current active fields as a new version
+     * @param {string} clientId - Client ID
+     * @param {string} change - initial | create | update | delete
+     * @param {string} [fieldName] - Field the change was about
+     * @returns {Promise<Object>} The new ExtractionSchemaVersion
+     */
+    async createVersion(clientId, change, fieldName = null) {
+        const fields = await ExtractionField.find({ client_id: clientId, is_active: true })
+            .sort({ order: 1, createdAt: 1 });
+
+        const snapshot = fields.map(field => ({
+            field_id: field._id,
+            field_name: field.field_name,
+            description: field.description,
+            field_type: field.field_type,
+            allowed_values: field.allowed_values,
+            required: field.required,
+            merge_strategy: field.merge_strategy,
+            agent_ids: field.agent_ids || [],
+        }));
+
+        // Concurrent edits can race for the same version number; retry on the unique index
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const latest = await ExtractionSchemaVersion.findOne({ client_id: clientId })
+                .sort({ version: -1 })
+                .select('version');
+
+            try {
+                const version = await ExtractionSchemaVersion.create({
+                    client_id: clientId,
+                    version: latest ? latest.version + 1 : 1,
+                    fields: snapshot,
+                    change,
+                    changed_field: fieldName,
+                });
+
+                console.log(`🗂️  Extraction schema v${version.version} for client ${clientId} (${change}${fieldName ? ` ${fieldName}` : ''})`);
+                return version;
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+            }
+        }
+
+        throw new Error('Could not allocate an extraction schema version');
+    }
+
+    /**
+     * Latest schema version of a client, created from the current fields if none exists yet
+     * @returns {Promise<Object>} ExtractionSchemaVersion
+     */
+    async getCurrentVersion(clientId) {
+        const latest = await ExtractionSchemaVersion.findOne({ client_id: clientId }).sort({ version: -1 });
+        return latest || this.createVersion(clientId, 'initial');
+    }
+
+    /**
+     * List versions of a client, newest first
+     * @param {string} clientId - Client ID
+     * @param {Array<number>} [versions] - Only these version numbers
+     */
+    async listVersions(clientId, versions = null) {
+        const query = { client_id: clientId };
+        if (versions) query.version = { $in: versions };
+        return ExtractionSchemaVersion.find(query).sort({ version: -1 });
+    }
+
+    /**
+     * Active fields extracted for an agent: fields assigned to it plus fields for all agents
+     * @param {string} clientId - Client ID
+     * @param {string} agentId - Agent ID
+     * @returns {Promise<Array>} ExtractionField documents in display order
+     */
+    async getFieldsForAgent(clientId, agentId) {
+        return ExtractionField.find({
+            client_id: clientId,
+            is_active: true,
+            $or: [
+                { agent_ids: { $exists: false } },
+                { agent_ids: { $size: 0 } },
+                { agent_ids: agentId },
+            ],
+        }).sort({ order: 1 });
+    }
+
+    /**
+     * Whether a field (or version snapshot of one) applies to any of the given agents
+     * @param {Object} field - Field with agent_ids
+     * @param {Array<string>|null} agentIds - null matches every field
+     */
+    appliesToAgents(field, agentIds) {
+        if (!agentIds || !field.agent_ids || field.agent_ids.length === 0) return true;
+        const wanted = new Set(agentIds.map(id => id.toString()));
+        return field.agent_ids.some(id => wanted.has(id.toString()));
+    }
+
+    /**
+     * Field columns covering several schema versions, in the order the fields first appeared.
+     * The order is append-only: new fields go at the end and removed fields keep their column,
+     * so rows already written to a sheet stay aligned with its header.
+     * @param {Array<Object>} versions - ExtractionSchemaVersion documents, in any order
+     * @param {Array<string>} [extraNames] - Additional field names to include (e.g. from unversioned executions)
+     * @param {Array<string>} [agentIds] - Only fields that apply to one of these agents
+     * @returns {Array<string>} Field names
+     */
+    getColumnUnion(versions, extraNames = [], agentIds = null) {
+        const columns = [];
+        const seen = new Set();
+
+        const add = (fieldName) => {
+            if (!seen.has(fieldName)) {
+                seen.add(fieldName);
+                columns.push(fieldName);
+            }
+        };
+
+        [...versions].sort((a, b) => a.version - b.version).forEach(version => version.fields
+            .filter(field => this.appliesToAgents(field, agentIds))
+            .forEach(field => add(field.field_name)));
+        extraNames.forEach(add);
+
+        return columns;
+    }
+
+    /**
+     * Field columns for a sheet: union over every version of the field set
+     * @param {string} clientId - Client ID
+     * @param {Array<string>} [agentIds] - Agents writing to the sheet; only their fields are included
+     * @returns {Promise<Array<string>>} Field names
+     */
+    async getSheetColumns(clientId, agentIds = null) {
+        const versions = await this.listVersions(clientId);
+        if (versions.length === 0) {
+            return this.getColumnUnion([await this.getCurrentVersion(clientId)], [], agentIds);
+        }
+        return this.getColumnUnion(versions, [], agentIds);
+    }
+
+    /**
+     * Field names of one version
+     */
+    getFieldNames(version) {
+        return version ? version.fields.map(field => field.field_name) : [];
+    }
+}
+
+module.exports = new ExtractionSchemaService();
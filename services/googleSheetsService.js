@@ -145,29 +145,65 @@ class GoogleSheetsService {
         };
     }
 
+    /**
+     * A1 range, qualified with a tab name when one is given (no tab means the first sheet)
+     * @param {string|null} tab - Tab (sheet) title
+     * @param {string} range - Range within the tab, e.g. 'A:A'
+     */
+    toRange(tab, range) {
+        return tab ? `'${tab.replace(/'/g, "''")}'!${range}` : range;
+    }
+
+    /**
+     * Get the numeric sheet ID of a tab, adding the tab if it doesn't exist
+     * @param {Object} sheets - Sheets API client
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {Object} spreadsheet - Spreadsheet metadata (from spreadsheets.get)
+     * @param {string} title - Tab title
+     * @returns {Promise<number>} sheetId
+     */
+    async ensureTab(sheets, spreadsheetId, spreadsheet, title) {
+        const existing = spreadsheet.sheets.find(sheet => sheet.properties.title === title);
+        if (existing) {
+            return existing.properties.sheetId;
+        }
+
+        const response = await sheets.spreadsheets.batchUpdate({
+            spreadsheetId: spreadsheetId,
+            resource: {
+                requests: [{ addSheet: { properties: { title } } }],
+            },
+        });
+
+        console.log(`✅ Added tab "${title}" to Google Sheet`);
+        return response.data.replies[0].addSheet.properties.sheetId;
+    }
+
     /**
      * Create or update header row in Sheet
      * @param {Object} client - Client document
      * @param {string} spreadsheetId - Spreadsheet ID
      * @param {Array<string>} headers - Array of header names
+     * @param {string} [tab] - Tab to write to (created if missing); defaults to the first sheet
      * @returns {Promise<boolean>} Success status
      */
-    async createHeaders(client, spreadsheetId, headers) {
+    async createHeaders(client, spreadsheetId, headers, tab = null) {
         const sheets = await this.createSheetsClient(client);
 
         try {
-            // Get the first sheet
             const spreadsheet = await sheets.spreadsheets.get({
                 spreadsheetId: spreadsheetId,
             });
 
-            const firstSheet = spreadsheet.data.sheets[0];
-            const sheetId = firstSheet.properties.sheetId;
+            // The named tab, or the first sheet
+            const sheetId = tab
+                ? await this.ensureTab(sheets, spreadsheetId, spreadsheet.data, tab)
+                : spreadsheet.data.sheets[0].properties.sheetId;
 
             // Write headers to first row
             await sheets.spreadsheets.values.update({
                 spreadsheetId: spreadsheetId,
-                range: 'A1',
+                range: this.toRange(tab, 'A1'),
                 valueInputOption: 'RAW',
                 resource: {
                     values: [headers],
@@ -234,15 +270,16 @@ class GoogleSheetsService {
      * @param {Object} client - Client document
      * @param {string} spreadsheetId - Spreadsheet ID
      * @param {Array} values - Array of values to append
-     * @returns {Promise<boolean>} Success status
+     * @param {string} [tab] - Tab to append to; defaults to the first sheet
+     * @returns {Promise<string>} A1 range the row was written to (e.g. 'Sheet1!A5:H5')
      */
-    async appendRow(client, spreadsheetId, values) {
+    async appendRow(client, spreadsheetId, values, tab = null) {
         const sheets = await this.createSheetsClient(client);
 
         try {
-            await sheets.spreadsheets.values.append({
+            const response = await sheets.spreadsheets.values.append({
                 spreadsheetId: spreadsheetId,
-                range: 'A:A',
+                range: this.toRange(tab, 'A:A'),
                 valueInputOption: 'RAW',
                 insertDataOption: 'INSERT_ROWS',
                 resource: {
@@ -251,13 +288,122 @@ class GoogleSheetsService {
             });
 
             console.log('✅ Row appended to Google Sheet');
-            return true;
+            return response.data.updates?.updatedRange || true;
         } catch (error) {
             console.error('❌ Failed to append row:', error.message);
             throw error;
         }
     }
 
+    /**
+     * Overwrite an existing row
+     * @param {Object} client - Client document
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {string} range - A1 range of the row (e.g. 'Sheet1!A5:H5' or 'A5')
+     * @param {Array} values - Row values, starting at the first column of the range
+     * @returns {Promise<string>} Updated range
+     */
+    async updateRow(client, spreadsheetId, range, values) {
+        const sheets = await this.createSheetsClient(client);
+
+        try {
+            const response = await sheets.spreadsheets.values.update({
+                spreadsheetId: spreadsheetId,
+                range: range,
+                valueInputOption: 'RAW',
+                resource: {
+                    values: [values],
+                },
+            });
+
+            console.log(`✅ Row ${range} updated in Google Sheet`);
+            return response.data.updatedRange || range;
+        } catch (error) {
+            console.error(`❌ Failed to update row ${range}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a row in place if it can be located, append it otherwise
+     * @param {Object} client - Client document
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {Array} values - Row values
+     * @param {Object} locate
+     * @param {string} [locate.range] - Range the row was last written to, if known
+     * @param {string} locate.keyHeader - Header of the column identifying the row (e.g. 'Execution_ID')
+     * @param {string} locate.keyValue - Value identifying the row
+     * @param {string} [locate.tab] - Tab holding the row; defaults to the first sheet
+     * @returns {Promise<Object>} { range, appended }
+     */
+    async upsertRow(client, spreadsheetId, values, { range, keyHeader, keyValue, tab = null }) {
+        // The cached range goes stale once rows are sorted, inserted or deleted
+        let rowRange = range && await this.isRowKeyAt(client, spreadsheetId, range, keyHeader, keyValue) ? range : null;
+        if (!rowRange) {
+            rowRange = await this.findRowByColumnValue(client, spreadsheetId, keyHeader, keyValue, tab);
+        }
+
+        if (rowRange) {
+            return { range: await this.updateRow(client, spreadsheetId, rowRange, values), appended: false };
+        }
+
+        return { range: await this.appendRow(client, spreadsheetId, values, tab), appended: true };
+    }
+
+    /**
+     * Whether the row of a range still holds the given key in its header-named column
+     * @param {Object} client - Client document
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {string} range - A1 range of the row (e.g. 'Sheet1!A5:H5' or 'A5')
+     * @param {string} headerName - Header of the key column (e.g. 'Execution_ID')
+     * @param {string} value - Expected key
+     * @returns {Promise<boolean>}
+     */
+    async isRowKeyAt(client, spreadsheetId, range, headerName, value) {
+        const separator = range.lastIndexOf('!');
+        const sheetPrefix = separator === -1 ? '' : range.slice(0, separator + 1);
+        const rowMatch = range.slice(separator + 1).match(/\d+/);
+        if (!rowMatch) return false;
+
+        const sheets = await this.createSheetsClient(client);
+        const response = await sheets.spreadsheets.values.batchGet({
+            spreadsheetId: spreadsheetId,
+            ranges: [`${sheetPrefix}1:1`, `${sheetPrefix}${rowMatch[0]}:${rowMatch[0]}`],
+        });
+
+        const [headerRange, rowRange] = response.data.valueRanges || [];
+        const columnIndex = (headerRange?.values?.[0] || []).indexOf(headerName);
+        if (columnIndex === -1) return false;
+
+        return String(rowRange?.values?.[0]?.[columnIndex] ?? '') === String(value);
+    }
+
+    /**
+     * Find the row whose value in a header-named column matches
+     * @param {Object} client - Client document
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {string} headerName - Header of the column to search (e.g. 'Execution_ID')
+     * @param {string} value - Value to look for
+     * @param {string} [tab] - Tab to search; defaults to the first sheet
+     * @returns {Promise<string|null>} A1 range of the row's first cell (e.g. 'A5'), or null if not found
+     */
+    async findRowByColumnValue(client, spreadsheetId, headerName, value, tab = null) {
+        const rows = await this.readSheetData(client, spreadsheetId, this.toRange(tab, 'A:ZZ'));
+        if (rows.length === 0) return null;
+
+        const columnIndex = rows[0].indexOf(headerName);
+        if (columnIndex === -1) return null;
+
+        // Search from the bottom so the most recent row wins if there are duplicates
+        for (let i = rows.length - 1; i >= 1; i--) {
+            if (String(rows[i][columnIndex] ?? '') === String(value)) {
+                return this.toRange(tab, `A${i + 1}`);
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Read data from a Google Sheet
      * @param {Object} client - Client document
@@ -308,6 +454,34 @@ class GoogleSheetsService {
             throw error;
         }
     }
+
+    /**
+     * Write many cells or ranges in a single request
+     * @param {Object} client - Client document
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {Array<Object>} data - [{ range, values }] where values is a 2D array
+     * @returns {Promise<number>} Number of cells updated
+     */
+    async batchUpdateCells(client, spreadsheetId, data) {
+        if (data.length === 0) return 0;
+
+        const sheets = await this.createSheetsClient(client);
+
+        try {
+            const response = await sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId: spreadsheetId,
+                resource: {
+                    valueInputOption: 'USER_ENTERED',
+                    data: data,
+                },
+            });
+
+            return response.data.totalUpdatedCells || 0;
+        } catch (error) {
+            console.error(`❌ Failed to batch update ${data.length} range(s):`, error.message);
+            throw error;
+        }
+    }
 }
 
 module.exports = new GoogleSheetsService();
@@ -0,0 +1,155 @@
+/**
+ * MongoDB-backed lease locks for background jobs
+ * Ensures a job runs on at most one server instance at a time and records every run
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+
+class JobLockService {
+    constructor() {
+        // Unique per process, so two processes on the same host never share a lease
+        this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    /**
+     * Try to take the lease for a job
+     * @param {string} name - Job name
+     * @param {number} ttlMs - Lease duration
+     * @returns {Promise<boolean>} True if this instance now holds the lease
+     */
+    async acquire(name, ttlMs) {
+        const now = new Date();
+
+        try {
+            // Only an expired (or never taken) lease can be claimed, even by its previous owner,
+            // so a slow run on this instance also blocks the next tick here
+            const lock = await JobLock.findOneAndUpdate(
+                {
+                    name,
+                    $or: [
+                        { locked_until: null },
+                        { locked_until: { $lte: now } },
+                    ],
+                },
+                {
+                    $set: {
+                        owner: this.instanceId,
+                        locked_until: new Date(now.getTime() + ttlMs),
+                        acquired_at: now,
+                    },
+                },
+                { upsert: true, new: true }
+            );
+
+            return !!lock && lock.owner === this.instanceId;
+        } catch (error) {
+            // Duplicate key: the lock document exists and is held by someone else
+            if (error.code === 11000) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Extend a lease this instance holds
+     * @returns {Promise<boolean>} False if the lease was lost
+     */
+    async renew(name, ttlMs) {
+        const result = await JobLock.updateOne(
+            { name, owner: this.instanceId },
+            { $set: { locked_until: new Date(Date.now() + ttlMs) } }
+        );
+        return result.matchedCount > 0;
+    }
+
+    /**
+     * Release a lease this instance holds
+     */
+    async release(name) {
+        await JobLock.updateOne(
+            { name, owner: this.instanceId },
+            { $set: { owner: null, locked_until: null } }
+        );
+    }
+
+    /**
+     * Run a job while holding its lease, recording a JobRun for it.
+     * Skips the run when another instance (or a previous tick) still holds the lease.
+     * @param {string} name - Job name
+     * @param {Object} options
+     * @param {number} options.ttlMs - Lease duration, renewed periodically while the job runs
+     * @param {Function} fn - Async job body, called with an AbortSignal that fires if the lease is
+     *   lost; it must stop between units of work then. Its return value is stored as the run result
+     * @returns {Promise<Object>} { skipped, outcome, result }
+     */
+    async runExclusive(name, { ttlMs }, fn) {
+        const acquired = await this.acquire(name, ttlMs);
+        if (!acquired) {
+            console.log(`⏭️  Job ${name} is already running elsewhere, skipping this tick`);
+            return { skipped: true };
+        }
+
+        let run = null;
+        let heartbeat = null;
+        const lease = new AbortController();
+
+        try {
+            run = await JobRun.create({
+                job_name: name,
+                instance_id: this.instanceId,
+                started_at: new Date(),
+            });
+
+            // Keep the lease alive for long runs
+            heartbeat = setInterval(() => {
+                this.renew(name, ttlMs).then((held) => {
+                    if (!held && !lease.signal.aborted) {
+                        console.warn(`⚠️  Lost lease for job ${name} while it was running, stopping it`);
+                        lease.abort();
+                    }
+                }).catch((error) => {
+                    console.error(`❌ Failed to renew lease for job ${name}:`, error.message);
+                });
+            }, Math.max(Math.floor(ttlMs / 3), 1000));
+
+            try {
+                const result = await fn(lease.signal);
+                run.outcome = lease.signal.aborted ? 'lost' : 'succeeded';
+                run.error = lease.signal.aborted ? 'Lease lost while running; stopped early' : null;
+                run.result = result === undefined ? null : result;
+            } catch (error) {
+                console.error(`❌ Job ${name} failed:`, error);
+                run.outcome = 'failed';
+                run.error = error.message || String(error);
+            }
+        } finally {
+            clearInterval(heartbeat);
+
+            // Release first, so a failure to record the run can't hold the job until the lease expires
+            try {
+                await this.release(name);
+            } catch (error) {
+                console.error(`❌ Failed to release lease for job ${name}:`, error.message);
+            }
+
+            if (run) {
+                run.ended_at = new Date();
+                run.duration_ms = run.ended_at - run.started_at;
+
+                try {
+                    await run.save();
+                } catch (error) {
+                    console.error(`❌ Failed to record run of job ${name}:`, error.message);
+                }
+            }
+        }
+
+        return { skipped: false, outcome: run.outcome, result: run.result };
+    }
+}
+
+module.exports = new JobLockService();
@@ -0,0 +1,278 @@
+/**
+ * LLM provider abstraction for extraction
+ * Supports OpenAI, Azure OpenAI and any OpenAI-compatible chat completions endpoint
+ * (vLLM, Ollama, LM Studio...), configured per client
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const encryptionService = require('./encryptionService');
+
+const PROVIDER_TYPES = ['openai', 'azure', 'openai_compatible'];
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_AZURE_API_VERSION = '2024-08-01-preview';
+
+// Base URLs are set by clients, so requests must not reach the server's own network:
+// private, loopback, link-local (cloud metadata), shared and reserved ranges are refused
+const RESERVED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([address, prefix]) => RESERVED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => RESERVED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Hosts allowed to resolve to such addresses anyway (self-hosted models on the server's network)
+const ALLOWED_PRIVATE_HOSTS = (process.env.LLM_PROVIDER_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Whether an IP address is in a private or reserved range
+ */
+function isReservedAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return RESERVED_ADDRESSES.check(mapped[1], 'ipv4');
+    return RESERVED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function isAllowedPrivateHost(hostname) {
+    return ALLOWED_PRIVATE_HOSTS.includes(hostname.toLowerCase());
+}
+
+/**
+ * dns.lookup that refuses reserved addresses. Used by the request agents, so the check applies
+ * to the address actually connected to (a host can't pass validation and then re-resolve).
+ */
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (!isAllowedPrivateHost(hostname) && addresses.some(entry => isReservedAddress(entry.address))) {
+            const blocked = new Error(`${hostname} resolves to a private or reserved address`);
+            blocked.code = 'EADDRBLOCKED';
+            return callback(blocked);
+        }
+
+        callback(null, address, family);
+    });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * A configured chat completions endpoint
+ */
+class ChatCompletionsProvider {
+    /**
+     * @param {Object} config
+     * @param {string} config.type - openai | azure | openai_compatible
+     * @param {string} config.baseUrl - API base URL
+     * @param {string} config.model - Model name (deployment name for Azure)
+     * @param {string} [config.apiKey] - Decrypted API key
+     * @param {string} [config.apiVersion] - Azure API version
+     */
+    constructor({ type, baseUrl, model, apiKey, apiVersion }) {
+        this.type = type;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+        this.apiKey = apiKey;
+        this.apiVersion = apiVersion;
+    }
+
+    getUrl() {
+        if (this.type === 'azure') {
+            return `${this.baseUrl}/openai/deployments/${encodeURIComponent(this.model)}/chat/completions?api-version=${encodeURIComponent(this.apiVersion)}`;
+        }
+        return `${this.baseUrl}/chat/completions`;
+    }
+
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (this.type === 'azure') {
+            headers['api-key'] = this.apiKey;
+        } else if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Send a chat completions request
+     * @param {Object} payload - Request body without the model
+     * @returns {Promise<Object>} Response body
+     */
+    async createChatCompletion(payload) {
+        const response = await axios.post(
+            this.getUrl(),
+            { ...payload, model: this.model },
+            {
+                headers: this.getHeaders(),
+                timeout: 60000,
+                httpAgent,
+                httpsAgent,
+                maxRedirects: 0,
+            }
+        );
+        return response.data;
+    }
+}
+
+class LlmProviderService {
+    constructor() {
+        this.defaultModel = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    }
+
+    /**
+     * Build a provider from plain (decrypted) settings
+     * @param {Object} settings - { type, base_url, model, api_version, api_key }
+     * @returns {ChatCompletionsProvider}
+     */
+    createProvider(settings) {
+        const type = settings.type || 'openai';
+
+        switch (type) {
+            case 'azure':
+                return new ChatCompletionsProvider({
+                    type,
+                    baseUrl: settings.base_url,
+                    model: settings.model,
+                    apiKey: settings.api_key,
+                    apiVersion: settings.api_version || DEFAULT_AZURE_API_VERSION,
+                });
+            case 'openai_compatible':
+                return new ChatCompletionsProvider({
+                    type,
+                    baseUrl: settings.base_url,
+                    model: settings.model,
+                    apiKey: settings.api_key,
+                });
+            default:
+                return new ChatCompletionsProvider({
+                    type: 'openai',
+                    baseUrl: settings.base_url || OPENAI_BASE_URL,
+                    model: settings.model || this.defaultModel,
+                    apiKey: settings.api_key,
+                });
+        }
+    }
+
+    /**
+     * Resolve the extraction provider configured for a client
+     * @param {Object} client - Client document
+     * @returns {ChatCompletionsProvider|null} null if the client has no usable provider (e.g. no API key)
+     */
+    resolveForClient(client) {
+        if (!client) return null;
+
+        const config = client.llm_provider || {};
+        const type = config.type || 'openai';
+
+        // OpenAI falls back to the key saved from the API key screen
+        const encryptedKey = config.api_key || (type === 'openai' ? client.openai_api_key : null);
+        const apiKey = encryptedKey ? encryptionService.decrypt(encryptedKey) : null;
+
+        const settings = {
+            type,
+            base_url: config.base_url,
+            model: config.model,
+            api_version: config.api_version,
+            api_key: apiKey,
+        };
+
+        if (this.validateSettings(settings, { requireKey: true })) {
+            return null;
+        }
+
+        return this.createProvider(settings);
+    }
+
+    /**
+     * Validate provider settings
+     * @param {Object} settings - { type, base_url, model, api_version, api_key }
+     * @param {Object} [options]
+     * @param {boolean} [options.requireKey] - Whether providers that need a key must have one
+     * @returns {string|null} Error message, or null if valid
+     */
+    validateSettings(settings, options = {}) {
+        const type = settings.type || 'openai';
+
+        if (!PROVIDER_TYPES.includes(type)) {
+            return `Provider type must be one of: ${PROVIDER_TYPES.join(', ')}`;
+        }
+
+        if (settings.base_url) {
+            try {
+                const url = new URL(settings.base_url);
+                if (!['http:', 'https:'].includes(url.protocol)) {
+                    return 'Base URL must use http or https';
+                }
+
+                // Host names are checked when they are resolved (see guardedLookup); IP literals are never looked up
+                const host = url.hostname.replace(/^\[|\]$/g, '');
+                if (net.isIP(host) && isReservedAddress(host) && !isAllowedPrivateHost(host)) {
+                    return 'Base URL must not point to a private or reserved address';
+                }
+            } catch (error) {
+                return 'Base URL is not a valid URL';
+            }
+        }
+
+        if (type === 'azure') {
+            if (!settings.base_url) return 'Azure OpenAI needs the resource endpoint as base URL';
+            if (!settings.model) return 'Azure OpenAI needs the deployment name as model';
+        }
+
+        if (type === 'openai_compatible') {
+            if (!settings.base_url) return 'OpenAI-compatible providers need a base URL';
+            if (!settings.model) return 'OpenAI-compatible providers need a model';
+        }
+
+        if (options.requireKey && type !== 'openai_compatible' && !settings.api_key) {
+            return 'An API key is required for this provider';
+        }
+
+        return null;
+    }
+
+    /**
+     * Error message safe to show the client for a failed provider request.
+     * Upstream response bodies are never passed through.
+     */
+    describeError(error) {
+        // Errors raised here (e.g. an unusable reply) rather than by the request carry our own message
+        if (!error.isAxiosError) return error.message;
+        if (error.code === 'EADDRBLOCKED') return 'Base URL resolves to a private or reserved address';
+        if (error.response) return `Provider responded with HTTP ${error.response.status}`;
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'Provider did not respond in time';
+        return 'Could not reach the provider';
+    }
+
+    /**
+     * Safe description of a client's provider settings (never includes the key)
+     */
+    describe(client) {
+        const config = client.llm_provider || {};
+        const type = config.type || 'openai';
+
+        return {
+            type,
+            base_url: config.base_url || (type === 'openai' ? OPENAI_BASE_URL : null),
+            model: config.model || (type === 'openai' ? this.defaultModel : null),
+            api_version: type === 'azure' ? (config.api_version || DEFAULT_AZURE_API_VERSION) : null,
+            has_api_key: !!(config.api_key || (type === 'openai' && client.openai_api_key)),
+            configured: !!this.resolveForClient(client),
+        };
+    }
+}
+
+module.exports = new LlmProviderService();
@@ -0,0 +1,179 @@
+/**
+ * Human review of extracted data
+ * Applies reviewer corrections to an execution, keeps every version in its extraction
+ * history and pushes the corrected row to the client's Google Sheet
+ */
+
+const dataExtractionService = require('./dataExtractionService');
+const bolnaService = require('./bolnaService');
+const extractionDestinationService = require('./extractionDestinationService');
+
+class ReviewService {
+    /**
+     * Validate and normalize corrected values against the client's field definitions
+     * @param {Array} extractionFields - Client's ExtractionField documents
+     * @param {Object} corrections - Field name -> corrected value (null or "" clears a value)
+     * @returns {Object} { values } or { error }
+     */
+    normalizeCorrections(extractionFields, corrections) {
+        if (!corrections || typeof corrections !== 'object' || Array.isArray(corrections)) {
+            return { error: 'Corrections must be an object of field name to value' };
+        }
+
+        const fieldsByName = new Map(extractionFields.map(field => [field.field_name, field]));
+        const values = {};
+
+        for (const [fieldName, value] of Object.entries(corrections)) {
+            const field = fieldsByName.get(fieldName);
+            if (!field) {
+                return { error: `Unknown extraction field "${fieldName}"` };
+            }
+
+            const normalized = dataExtractionService.normalizeFieldValue(field, value);
+            if (normalized === 'Not Found' && !dataExtractionService.isMissing(value)) {
+                return { error: `Invalid ${field.field_type || 'string'} value for ${fieldName}` };
+            }
+
+            values[fieldName] = normalized;
+        }
+
+        return { values };
+    }
+
+    /**
+     * Apply corrected values to an execution and update its sheet row
+     * @param {Object} execution - Execution document
+     * @param {Object} agent - Agent document owning the execution
+     * @param {Object} client - Client document of the reviewer
+     * @param {Array} extractionFields - Active ExtractionField documents of the agent, in order
+     * @param {Object} corrections - Normalized corrections (from normalizeCorrections)
+     * @param {Object} review - { reviewer, note }; reviewer defaults to the client's name
+     * @returns {Promise<Object>} { corrected_fields, sheet: { synced, range, error } }
+     */
+    async applyCorrections(execution, agent, client, extractionFields, corrections, review = {}) {
+        const previous = execution.extracted_data || {};
+        const customFields = { ...(previous.custom_fields || {}) };
+        const fieldDetails = { ...(previous.field_details || {}) };
+
+        // Executions extracted before history existed: keep their AI output first
+        if (execution.extraction_history.length === 0 && previous.custom_fields) {
+            execution.extraction_history.push({
+                source: 'ai',
+                custom_fields: previous.custom_fields,
+                field_details: previous.field_details || {},
+                recorded_at: previous._extraction_date || execution.updatedAt,
+            });
+        }
+
+        const correctedFields = Object.keys(corrections).filter(fieldName =>
+            customFields[fieldName] !== corrections[fieldName]
+        );
+
+        // Every submitted value is reviewer-confirmed, changed or not
+        Object.keys(corrections).forEach(fieldName => {
+            const changed = correctedFields.includes(fieldName);
+            customFields[fieldName] = corrections[fieldName];
+            fieldDetails[fieldName] = {
+                confidence: 1,
+                evidence: changed ? null : (fieldDetails[fieldName]?.evidence ?? null),
+                corrected: changed,
+            };
+        });
+
+        const reviewer = {
+            client_id: client._id,
+            name: review.reviewer || client.name || null,
+            email: client.email || null,
+        };
+
+        execution.extraction_history.push({
+            source: 'review',
+            custom_fields: customFields,
+            field_details: fieldDetails,
+            corrected_fields: correctedFields,
+            reviewer,
+            note: review.note,
+        });
+
+        const metadata = previous.metadata || bolnaService.buildExtractionMetadata(execution, agent);
+
+        execution.extracted_data = {
+            ...previous,
+            custom_fields: customFields,
+            field_details: fieldDetails,
+            missing_required: extractionFields
+                .filter(f => f.required && (customFields[f.field_name] ?? 'Not Found') === 'Not Found')
+                .map(f => f.field_name),
+            low_confidence_fields: dataExtractionService.getLowConfidenceFields(fieldDetails),
+            metadata,
+        };
+        execution.review_status = 'reviewed';
+        execution.reviewed_at = new Date();
+        execution.reviewed_by = reviewer;
+
+        const sheet = await this.pushToSheet(execution, agent, client, extractionFields, customFields, metadata);
+
+        if (sheet.synced) {
+            execution.extracted_data = {
+                ...execution.extracted_data,
+                google_sheet_synced: true,
+                sheet_row: { ...sheet.target, range: sheet.range },
+            };
+        }
+
+        await execution.save();
+
+        return {
+            corrected_fields: correctedFields,
+            sheet: { synced: sheet.synced, range: sheet.range || null, error: sheet.error || null },
+        };
+    }
+
+    /**
+     * Write the corrected values over the execution's existing sheet row (appending only if
+     * the row can't be found). Failures are reported, not thrown: the correction is already saved.
+     */
+    async pushToSheet(execution, agent, client, extractionFields, customFields, metadata) {
+        if (!client.google_authorized) {
+            return { synced: false };
+        }
+
+        const target = extractionDestinationService.getTarget(client, agent);
+        if (!target || extractionFields.length === 0) {
+            return { synced: false };
+        }
+
+        try {
+            const googleSheetsService = require('./googleSheetsService');
+            const sheetRow = execution.extracted_data?.sheet_row;
+
+            const result = await googleSheetsService.upsertRow(
+                client,
+                target.spreadsheet_id,
+                bolnaService.buildSheetRowValues(
+                    await extractionDestinationService.getColumns(client, agent),
+                    customFields,
+                    metadata
+                ),
+                {
+                    range: extractionDestinationService.isSameTarget(sheetRow, target) ? sheetRow.range : null,
+                    keyHeader: 'Execution_ID',
+                    keyValue: metadata.Execution_ID,
+                    tab: target.tab,
+                }
+            );
+
+            console.log(`✅ Corrected row for execution ${metadata.Execution_ID} ${result.appended ? 'appended to' : 'updated in'} Google Sheet`);
+            return {
+                synced: true,
+                target,
+                range: typeof result.range === 'string' ? result.range : null,
+            };
+        } catch (error) {
+            console.error('❌ Failed to push correction to Google Sheets:', error.message);
+            return { synced: false, error: error.message };
+        }
+    }
+}
+
+module.exports = new ReviewService();
@@ -118,7 +118,7 @@ class SheetService {
      * Escape CSV values (handle commas, quotes, newlines)
      */
     escapeCSV(value) {
-        if (!value) return '';
+        if (value === null || value === undefined || value === '') return '';
 
         const stringValue = String(value);
 
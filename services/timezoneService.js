@@ -0,0 +1,233 @@
+/**
+ * Time zone helpers for campaign scheduling (IANA zones via Intl, no offsets hardcoded)
+ * Calling windows are weekly: [{ days: [0-6, 0 = Sunday], start: 'HH:MM', end: 'HH:MM' }],
+ * where an end before the start runs past midnight into the next day.
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+// 'YYYY-MM-DD[THH:MM[:SS[.sss]]][Z|±HH:MM]'
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+// Zones a number may ring in, by calling code (longest prefix wins). Countries spanning
+// several zones list them all; a call must be allowed in every one of them.
+const PHONE_PREFIX_TIMEZONES = {
+    '1': ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles'],
+    '1808': ['Pacific/Honolulu'],
+    '1907': ['America/Anchorage'],
+    '7': ['Europe/Moscow'],
+    '20': ['Africa/Cairo'],
+    '27': ['Africa/Johannesburg'],
+    '30': ['Europe/Athens'],
+    '31': ['Europe/Amsterdam'],
+    '32': ['Europe/Brussels'],
+    '33': ['Europe/Paris'],
+    '34': ['Europe/Madrid'],
+    '39': ['Europe/Rome'],
+    '41': ['Europe/Zurich'],
+    '43': ['Europe/Vienna'],
+    '44': ['Europe/London'],
+    '45': ['Europe/Copenhagen'],
+    '46': ['Europe/Stockholm'],
+    '47': ['Europe/Oslo'],
+    '48': ['Europe/Warsaw'],
+    '49': ['Europe/Berlin'],
+    '52': ['America/Mexico_City'],
+    '55': ['America/Sao_Paulo'],
+    '60': ['Asia/Kuala_Lumpur'],
+    '61': ['Australia/Perth', 'Australia/Adelaide', 'Australia/Sydney'],
+    '62': ['Asia/Jakarta'],
+    '63': ['Asia/Manila'],
+    '64': ['Pacific/Auckland'],
+    '65': ['Asia/Singapore'],
+    '66': ['Asia/Bangkok'],
+    '81': ['Asia/Tokyo'],
+    '82': ['Asia/Seoul'],
+    '84': ['Asia/Ho_Chi_Minh'],
+    '86': ['Asia/Shanghai'],
+    '90': ['Europe/Istanbul'],
+    '91': ['Asia/Kolkata'],
+    '92': ['Asia/Karachi'],
+    '94': ['Asia/Colombo'],
+    '351': ['Europe/Lisbon'],
+    '353': ['Europe/Dublin'],
+    '234': ['Africa/Lagos'],
+    '254': ['Africa/Nairobi'],
+    '880': ['Asia/Dhaka'],
+    '966': ['Asia/Riyadh'],
+    '971': ['Asia/Dubai'],
+    '974': ['Asia/Qatar'],
+    '977': ['Asia/Kathmandu'],
+};
+
+class TimezoneService {
+    constructor() {
+        this.formatters = new Map();
+    }
+
+    /**
+     * Whether a string is an IANA time zone known to this runtime
+     */
+    isValidTimezone(timezone) {
+        if (!timezone || typeof timezone !== 'string') return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getFormatter(timezone) {
+        if (!this.formatters.has(timezone)) {
+            this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit',
+                weekday: 'short',
+            }));
+        }
+        return this.formatters.get(timezone);
+    }
+
+    /**
+     * Wall-clock time of an instant in a time zone
+     * @returns {Object} { year, month, day, hour, minute, second, weekday (0 = Sunday), date ('YYYY-MM-DD'), minutes (since midnight) }
+     */
+    getLocalTime(date, timezone) {
+        const parts = {};
+        this.getFormatter(timezone).formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        const local = {
+            year: Number(parts.year),
+            month: Number(parts.month),
+            day: Number(parts.day),
+            hour: Number(parts.hour),
+            minute: Number(parts.minute),
+            second: Number(parts.second),
+            weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+        };
+        local.date = `${parts.year}-${parts.month}-${parts.day}`;
+        local.minutes = local.hour * 60 + local.minute;
+        return local;
+    }
+
+    /**
+     * Offset of a time zone from UTC at an instant, in milliseconds
+     */
+    getOffsetMs(date, timezone) {
+        const local = this.getLocalTime(date, timezone);
+        const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+        return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    /**
+     * Instant of a wall-clock time in a time zone
+     * @param {string} value - 'YYYY-MM-DDTHH:MM[:SS]' read in the zone, or an ISO date-time with Z or an offset
+     * @param {string} timezone - IANA zone
+     * @returns {Date|null} null if the value isn't a valid date (e.g. 2026-02-30 or 25:00)
+     */
+    parseLocalDateTime(value, timezone) {
+        const match = typeof value === 'string' && value.trim().match(DATE_TIME_PATTERN);
+        if (!match) return null;
+
+        const [, year, month, day, hour = '0', minute = '0', second = '0', offset] = match.map(part => part?.toUpperCase());
+        if (Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59) return null;
+
+        const guess = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+
+        // Date.UTC rolls impossible dates over (Feb 30 becomes Mar 2): they must come back unchanged
+        if (isNaN(guess) || !new Date(guess).toISOString().startsWith(`${year}-${month}-${day}`)) return null;
+
+        if (offset) {
+            if (offset === 'Z') return new Date(guess);
+
+            const [, sign, offsetHours, offsetMinutes] = offset.match(/^([+-])(\d{2}):?(\d{2})$/);
+            if (Number(offsetHours) > 14 || Number(offsetMinutes) > 59) return null;
+            const offsetMs = (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60 * 1000;
+            return new Date(guess - (sign === '-' ? -offsetMs : offsetMs));
+        }
+
+        // Apply the zone's offset, then correct once in case that crossed a DST change
+        let instant = guess - this.getOffsetMs(new Date(guess), timezone);
+        instant = guess - this.getOffsetMs(new Date(instant), timezone);
+        return new Date(instant);
+    }
+
+    /**
+     * Parse 'HH:MM' into minutes since midnight (null if invalid)
+     */
+    parseTime(value) {
+        const match = typeof value === 'string' && value.match(TIME_PATTERN);
+        return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+    }
+
+    /**
+     * Whether calls are allowed at an instant in a time zone
+     * @param {Date} date - Instant to check
+     * @param {string} timezone - IANA zone the windows are expressed in
+     * @param {Array<Object>} windows - Weekly calling windows
+     * @param {Array<string>} [blackoutDates] - Local dates ('YYYY-MM-DD') with no calls at all
+     * @returns {boolean}
+     */
+    isWithinWindows(date, timezone, windows, blackoutDates = []) {
+        const local = this.getLocalTime(date, timezone);
+
+        if (blackoutDates.includes(local.date)) {
+            return false;
+        }
+
+        const previousDay = (local.weekday + 6) % 7;
+
+        return windows.some(window => {
+            const start = this.parseTime(window.start);
+            const end = this.parseTime(window.end);
+            if (start === null || end === null) return false;
+
+            if (start <= end) {
+                return window.days.includes(local.weekday) && local.minutes >= start && local.minutes <= end;
+            }
+
+            // Overnight: the evening of a listed day, or the early hours after it
+            return (window.days.includes(local.weekday) && local.minutes >= start)
+                || (window.days.includes(previousDay) && local.minutes <= end);
+        });
+    }
+
+    /**
+     * Time zones a phone number may ring in, from its calling code
+     * @param {string} phone - E.164 number
+     * @returns {Array<string>} Zones, empty if the prefix is unknown
+     */
+    getPhoneTimezones(phone) {
+        const digits = String(phone || '').replace(/\D/g, '');
+
+        for (let length = 4; length >= 1; length--) {
+            const zones = PHONE_PREFIX_TIMEZONES[digits.slice(0, length)];
+            if (zones) return zones;
+        }
+        return [];
+    }
+
+    /**
+     * Parse a weekday given as 0-6 or a name ('mon', 'Monday')
+     * @returns {number|null}
+     */
+    parseWeekday(value) {
+        if (Number.isInteger(value) && value >= 0 && value <= 6) return value;
+        if (typeof value === 'string') {
+            const index = WEEKDAYS.indexOf(value.trim().slice(0, 3).toLowerCase());
+            return index === -1 ? null : index;
+        }
+        return null;
+    }
+}
+
+module.exports = new TimezoneService();